@@ -0,0 +1,33 @@
+const { parseArgs } = require('util');
+const { loadSite, listSites } = require('./lib/sites');
+const { planRetention, applyRetention, printRetentionReport } = require('./lib/retention');
+
+const usage = `Usage: node scripts/apply-retention.js --site <site> [--dry-run]
+
+Applies the retention policy of the site definition to all its release folders.
+
+Options:
+  --site <site>     site to clean up (${listSites().join(', ')})
+  --dry-run         only report what would be removed`;
+
+// ---- Main ----
+let site, dryRun;
+try {
+    const { values } = parseArgs({
+        options: {
+            site: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    if (!values.site) throw new Error('Please provide a site with --site.');
+    site = loadSite(values.site);
+    dryRun = values['dry-run'];
+} catch (e) {
+    console.error(`❌ ${e.message}\n`);
+    console.log(usage);
+    process.exit(1);
+}
+
+const plan = planRetention(site);
+printRetentionReport(plan, { dryRun });
+applyRetention(plan, { dryRun });
@@ -1,117 +1,66 @@
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { loadSite } = require('./lib/sites');
+const { loadJson, findPageSummaries } = require('./lib/sitespeed');
+const { siteDir, releaseMetadata, releaseLabel, sortReleases, listReleases, releaseRange, formatDate, allReleaseHistories } = require('./lib/releases');
+const { loadBudgets, checkBudgets, writeJUnit, writeJson } = require('./lib/budgets');
+const { compareRuns } = require('./lib/stats');
+const { metricUnits, metricRating, AGGREGATES, extractMetrics, extractDistribution, extractRuns, poolRuns } = require('./lib/web-vitals');
+const { boxPlotSvg, barChartSvg } = require('./lib/svg-charts');
+const { buildExport, writeJsonExport, writeCsvExport, writeMarkdownExport } = require('./lib/exporters');
+const { formatValue, escapeHtml } = require('./lib/format');
+const { extractEnvironment, mergeEnvironments, environmentDrift } = require('./lib/environment');
+const { issueLabels, releaseIterations, summaryQuality, checkDataQuality } = require('./lib/data-quality');
+const { cpuMetricUnits, extractCpuRuns, extractCpuMetrics, extractLoafScripts, topLoafScripts } = require('./lib/cpu');
+const { coachCategories, extractCoach, diffCoachAdvice } = require('./lib/coach');
+const { contentTypes, loadResourceSummary } = require('./lib/har');
+const { extractUserTimingRuns, extractUserTimings } = require('./lib/user-timings');
+const { parseBaseline, baselineValue } = require('./lib/baseline');
+const { readHistory, historyReleases } = require('./lib/history');
+const { scoreProfile, scoreBreakdown, scoreRating } = require('./lib/scoring');
+const { screenshotTypes, medianRunIndex, runScreenshots, diffScreenshots, dataUri } = require('./lib/screenshots');
 
-// ---- Helpers ----
-function loadJson(filePath) {
-    try {
-        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    } catch (e) {
-        console.error(`❌ Could not load ${filePath}:`, e.message);
-        return {};
-    }
-}
-
-const metricUnits = {
-    TTFB: 'ms',
-    FCP: 'ms',
-    LCP: 'ms',
-    TBT: 'ms',
-    CLS: ''
-};
-
-function logNormalScore(value, median, podr) {
-    if (value == null) return null;
-
-    // Convert median + PODR into log-normal params
-    const location = Math.log(median);
-    const logRatio = Math.log(podr) - Math.log(median);
-    const shape = Math.log(2) / logRatio; // σ
-    const mu = location;                  // μ
-    const sigma = shape;
-
-    // Standardize
-    const standardized = (Math.log(value) - mu) / sigma;
+// Significance level used to tell real regressions from run-to-run noise
+const SIGNIFICANCE_ALPHA = 0.05;
 
-    // Φ(z): normal CDF
-    const phi = 0.5 * (1 + erf(standardized / Math.sqrt(2)));
-
-    // Clamp between 0–1 and invert (small is good → high score)
-    return Math.round((1 - phi) * 100);
-}
-
-// Error function approximation for Φ
-function erf(x) {
-    // Abramowitz-Stegun approximation
-    const sign = x >= 0 ? 1 : -1;
-    x = Math.abs(x);
-
-    const a1 = 0.254829592,
-        a2 = -0.284496736,
-        a3 = 1.421413741,
-        a4 = -1.453152027,
-        a5 = 1.061405429,
-        p  = 0.3275911;
+// ---- Helpers ----
+// Union of the pages measured in every release, keyed by the sitespeed.io alias.
+// Sections from the site definition keep their order and display name, new pages are appended.
+function discoverSections(baseDir, releases, site) {
+    const sections = new Map();
 
-    const t = 1.0 / (1.0 + p * x);
-    const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+    site.sections.forEach(({ name, alias, url, pageType }) => {
+        sections.set(alias, { name: name || alias, alias, pageType, page: url || '', files: {} });
+    });
 
-    return sign * y;
-}
+    releases.forEach(release => {
+        const pagesDir = path.join(baseDir, release, 'pages');
 
+        findPageSummaries(pagesDir).forEach(file => {
+            const info = loadJson(file).info || {};
+            // pages tested without an alias are stored under their URL path
+            const alias = info.alias || path.relative(pagesDir, path.dirname(path.dirname(file)));
 
-function scoreMetric(value, good, poor, inverted = false) {
-    if (value == null) return null;
-    let score;
-    if (inverted) {
-        // for CLS, lower is better
-        if (value <= good) return 100;
-        if (value >= poor) return 0;
-        score = ((poor - value) / (poor - good)) * 100;
-    } else {
-        // for ms metrics, lower is better
-        if (value <= good) return 100;
-        if (value >= poor) return 0;
-        score = ((poor - value) / (poor - good)) * 100;
-    }
-    return Math.round(score);
-}
+            if (!sections.has(alias)) {
+                sections.set(alias, { name: alias, alias, page: '', files: {} });
+            }
 
-function calculatePerfScore(metrics) {
-    const scores = {
-        FCP:  logNormalScore(metrics.FCP, 1800, 3000),
-        LCP:  logNormalScore(metrics.LCP, 2500, 4000),
-        TBT:  logNormalScore(metrics.TBT, 300, 600),
-        CLS:  logNormalScore(metrics.CLS, 0.1, 0.25),
-        TTFB: logNormalScore(metrics.TTFB, 800, 1800),
-    };
-
-    // Lighthouse weighting (v10+)
-    const weights = { FCP: 0.1, LCP: 0.25, TBT: 0.3, CLS: 0.15, TTFB: 0.2 };
-    let total = 0, weightSum = 0;
-
-    for (const m in scores) {
-        if (scores[m] != null) {
-            total += scores[m] * weights[m];
-            weightSum += weights[m];
-        }
-    }
+            const section = sections.get(alias);
+            section.files[release] = file;
+            // the link follows the latest release measuring the page
+            if (info.url) section.page = info.url;
+        });
+    });
 
-    return Math.round(total / weightSum);
+    return [...sections.values()];
 }
 
+// Relative standard deviation (%) above which the aggregate of a metric is not trustworthy
+const HIGH_RSD = 30;
 
-function extractMetrics(json) {
-    const googleWebVitals = json.statistics?.googleWebVitals || json.googleWebVitals || {};
-    return {
-        TTFB: googleWebVitals.ttfb?.median || googleWebVitals.ttfb || null,
-        FCP: googleWebVitals.firstContentfulPaint?.median || googleWebVitals.firstContentfulPaint || null,
-        LCP: googleWebVitals.largestContentfulPaint?.median || googleWebVitals.largestContentfulPaint || null,
-        TBT: googleWebVitals.totalBlockingTime?.median || googleWebVitals.totalBlockingTime || null,
-        CLS: googleWebVitals.cumulativeLayoutShift?.median || googleWebVitals.cumulativeLayoutShift || null
-    };
-}
-
-function compareReleases(metricsByRelease) {
+// Every release against the one before it, and against the baseline when one is chosen (see lib/baseline.js)
+function compareReleases(metricsByRelease, runsByRelease = {}, units = metricUnits, baseline = null) {
     const releases = Object.keys(metricsByRelease);
     const results = {};
 
@@ -119,23 +68,50 @@ function compareReleases(metricsByRelease) {
         results[release] = [];
         const metrics = metricsByRelease[release];
         const prevMetrics = idx > 0 ? metricsByRelease[releases[idx - 1]] : null;
+        const runs = runsByRelease[release];
+        const prevRuns = idx > 0 ? runsByRelease[releases[idx - 1]] : null;
+
+        // page not measured in this release
+        if (!metrics) return;
 
         Object.keys(metrics).forEach(metric => {
             const value = metrics[metric];
             if (value == null) return;
 
-            let diff = null, pct = null;
+            let diff = null, pct = null, significance = null;
             if (prevMetrics && prevMetrics[metric] != null) {
                 diff = value - prevMetrics[metric];
                 pct = prevMetrics[metric] === 0 ? null : (diff / prevMetrics[metric]) * 100;
+                significance = compareRuns(prevRuns?.[metric], runs?.[metric], SIGNIFICANCE_ALPHA);
+            }
+
+            let vsBaseline = null;
+            const reference = baseline && baselineValue(baseline, releases, release,
+                Object.fromEntries(releases.map(r => [r, metricsByRelease[r]?.[metric] ?? null])));
+            if (reference) {
+                const referenceRuns = reference.releases.flatMap(r => runsByRelease[r]?.[metric] || []);
+                const baselineDiff = value - reference.value;
+                let baselineSignificance = compareRuns(referenceRuns, runs?.[metric], SIGNIFICANCE_ALPHA);
+                // pooled runs of several releases can lean the other way than their median value: no clear change
+                const shift = { regression: 1, improvement: -1 }[baselineSignificance.verdict];
+                if (shift && Math.sign(baselineDiff) !== shift) baselineSignificance = { ...baselineSignificance, verdict: 'noise' };
+                vsBaseline = {
+                    value: reference.value,
+                    releases: reference.releases,
+                    diff: baselineDiff,
+                    pct: reference.value === 0 ? null : (baselineDiff / reference.value) * 100,
+                    significance: baselineSignificance
+                };
             }
 
             results[release].push({
                 metric,
                 value,
-                unit: metricUnits[metric] || '',
+                unit: units[metric] || '',
                 diff,
-                pct
+                pct,
+                significance,
+                baseline: vsBaseline
             });
         });
     });
@@ -143,10 +119,12 @@ function compareReleases(metricsByRelease) {
     return { releases, results, metricsByRelease };
 }
 
-function formatValue(value, unit) {
-    if (value == null) return '-';
-    if (unit === 'ms') return `${Math.round(value)} ms`;
-    return value.toFixed(3);
+function formatBytes(bytes) {
+    if (bytes == null) return '-';
+    const abs = Math.abs(bytes);
+    if (abs >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    if (abs >= 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+    return `${Math.round(bytes)} B`;
 }
 
 function formatPct(pct) {
@@ -155,24 +133,441 @@ function formatPct(pct) {
     return `${sign}${pct.toFixed(2)}%`;
 }
 
-function generateHtml(allResults, releases, outputFile) {
-    const sectionHtml = allResults.map(({ section, page, results, metricsByRelease }) => {
+const ratingColors = { good: '#10b981', average: '#ff996b', poor: '#ef4444' };
+const scoreColors = { good: '#10b981', average: '#f16626', poor: '#ef4444' };
+const scoreBackgrounds = { good: '#bbf7d0', average: '#ffd3a6', poor: '#fecaca' };
+
+// Good / needs improvement / poor color of a metric value, from the Web Vitals thresholds.
+// Only the scores are colored by the score profile of the site.
+function metricColor(metric, value) {
+    const rating = metricRating(metric, value);
+    return rating ? ratingColors[rating] : '';
+}
+
+function metricBadge(text, color) {
+    return `<span style="display:inline-block;padding:4px 8px;border-radius:6px;color:${color};font-weight:bold;">${text}</span>`;
+}
+
+const significanceLabels = {
+    regression: { label: '▲ significant regression', color: '#ef4444' },
+    improvement: { label: '▼ significant improvement', color: '#10b981' },
+    noise: { label: '≈ within noise', color: '#9ca3af' },
+    unknown: { label: 'not enough runs', color: '#6b7280' }
+};
+
+function formatSignificance(significance) {
+    if (!significance) return { text: '-', title: '', color: '#9ca3af' };
+
+    const { label, color } = significanceLabels[significance.verdict];
+    const [prevRuns, runs] = significance.n;
+    const confidence = significance.confidence == null ? ''
+        : significance.confidence >= 0.999 ? ' (>99.9% confidence)'
+        : ` (${(significance.confidence * 100).toFixed(1)}% confidence)`;
+    const title = significance.pValue != null
+        ? `Mann-Whitney U: p = ${significance.pValue.toFixed(3)}, runs ${prevRuns} vs ${runs}`
+        : `runs ${prevRuns} vs ${runs}`;
+
+    return { text: `${label}${confidence}`, title, color };
+}
+
+const reportStyles = `    body { font-family:sans-serif; margin:0; background:#1f2937; color:#f9fafb; }
+    header { background:#111827; padding:1rem; text-align:center; border-bottom:1px solid #374151; }
+    a { color:#f9fafb; text-decoration:none; display:block; margin-bottom:1rem; }
+    .score-container { display: flex; justify-content: center; align-items: center; flex-direction: column; gap: 26px; }
+    .score { background: darkgray; margin: 0; padding: 20px; font-size: 32px; font-weight: 600; border: 4px solid green; border-radius: 50%; }
+    .score-metrics { display: flex; gap: 36px; p { margin: 0; } }
+    .score-breakdown { width:auto; margin-top:0; font-size:13px; }
+    .score-breakdown th, .score-breakdown td { padding:2px 8px; }
+    .environment-config { display: flex; gap: 30px; justify-content: center; }
+    .environment-config-column { display: flex; justify-content: center; align-items: flex-end; }
+    .container { padding:2rem; display:grid; gap:2rem; max-width:1400px; margin:auto; }
+    .panel { background:#111827; border:1px solid #374151; border-radius:10px; padding:1rem; }
+    .panel-release { background:#111827; border:1px solid #374151; display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); border-radius:10px; padding:1.5rem; box-shadow:0 2px 6px rgba(0,0,0,0.5); }
+    table { width:100%; border-collapse:collapse; margin-top:1rem; }
+    thead { background:#374151; }
+    th,td { padding:8px; text-align:center; }
+    td:first-child{ text-align:left; font-weight:500; }
+    tr:nth-child(even){ background:#1f2937; }
+    tr:nth-child(odd){ background:#111827; }
+    .not-measured { color:#6b7280; font-style:italic; }
+    .warning { background:#422006; border:1px solid #f59e0b; color:#fcd34d; border-radius:6px; padding:8px 12px; }
+    .screenshot { width:120px; image-rendering:pixelated; border:1px solid #374151; }
+    summary { cursor:pointer; }
+    summary h3 { display:inline-block; margin:1rem 0; }
+    .delta-grid{ display:grid; grid-template-columns:repeat(auto-fill, minmax(300px,1fr)); gap:1rem; }
+`;
+
+// ⚠️ marker for a metric whose runs vary too much for the aggregate to be trusted
+function rsdWarning(distribution, aggregate) {
+    if (distribution?.rsd == null || distribution.rsd <= HIGH_RSD) return '';
+    return ` <span title="rsd ${Math.round(distribution.rsd)}%: the ${aggregate} is not trustworthy">⚠️</span>`;
+}
+
+// Script label for the LoAF table: file name, full URL on hover
+function scriptLabel(url) {
+    try {
+        const { hostname, pathname, search } = new URL(url);
+        const file = pathname.split('/').filter(Boolean).pop();
+        return `<span title="${url}">${hostname}${file ? ` …/${file}` : ''}${search.length > 30 ? `${search.slice(0, 30)}…` : search}</span>`;
+    } catch (e) {
+        return url; // invoker without source URL, e.g. an event listener
+    }
+}
+
+// Table rows of extra metrics (CPU, user timings): value per release, Δ, Δ% and significance of the last release
+function deltaRowsHtml(releases, metrics, { results, metricsByRelease }, baseline = null) {
+    const lastRelease = releases[releases.length - 1];
+
+    return metrics.map(metric => {
+        const cols = releases.map(r => {
+            if (!metricsByRelease[r]) return '<td class="not-measured">not measured</td>';
+            const data = results[r].find(m => m.metric === metric);
+            return `<td>${data ? formatValue(data.value, data.unit) : '-'}</td>`;
+        }).join('');
+
+        const last = results[lastRelease].find(m => m.metric === metric);
+        const arrow = last?.diff < 0 ? '↓' : last?.diff > 0 ? '↑' : '→';
+        const significance = formatSignificance(last?.significance);
+
+        return `
+          <tr>
+            <td>${metric}</td>
+            ${cols}
+            <td style="color:${significance.color};font-weight:bold;">${last?.diff != null ? formatValue(last.diff, last.unit) : '-'} ${arrow}</td>
+            <td style="color:${significance.color};font-weight:bold;">${last?.pct != null ? formatPct(last.pct) : 'N/A'}</td>
+            <td style="color:${significance.color};" title="${significance.title}">${significance.text}</td>${baseline ? baselineDeltaHtml(last) : ''}
+          </tr>`;
+    }).join('');
+}
+
+function deltaHeaderHtml(baseline) {
+    return `<th>Δ</th><th>Δ%</th><th>Significance</th>${baseline ? `<th>Δ vs ${baseline.label}</th>` : ''}`;
+}
+
+const baselineDescriptions = {
+    release: ({ label }) => `the pinned release ${label}`,
+    best: () => 'the best release so far, per metric the release with the lowest value (highest score)',
+    rolling: ({ count }) => `the median of the last ${count} releases before it, their runs pooled`
+};
+
+// Δ and Δ% of the last release against the baseline, colored by significance, the reference releases in the tooltip
+function baselineDeltaHtml(result) {
+    const vs = result?.baseline;
+    if (!vs) return '<td>-</td>';
+
+    const significance = formatSignificance(vs.significance);
+    const title = `${vs.releases.join(', ')}: ${formatValue(vs.value, result.unit)} - ${significance.text}${significance.title ? `, ${significance.title}` : ''}`;
+    return `<td style="color:${significance.color};font-weight:bold;" title="${title}">${formatValue(vs.diff, result.unit)} (${vs.pct != null ? formatPct(vs.pct) : 'N/A'})</td>`;
+}
+
+// Median-run screenshots of every release side by side, and the pixel diff of the last two releases
+function screenshotsSectionHtml(releases, { byRelease, diffs }, labels) {
+    const lastRelease = releases[releases.length - 1];
+    const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
+    const image = (file, title) => `<img class="screenshot" src="${dataUri(fs.readFileSync(file))}" alt="${title}" title="${title}">`;
+
+    const rows = Object.entries(screenshotTypes).map(([type, label]) => {
+        const cols = releases.map(r => {
+            const file = byRelease[r]?.files[type];
+            if (!file) return '<td class="not-measured">no screenshot</td>';
+            return `<td>${image(file, `${label} ${escapeHtml(labels[r])}, run ${byRelease[r].run}`)}</td>`;
+        }).join('');
+
+        const diff = diffs[type];
+        const diffCol = !prevRelease ? '' : diff
+            ? `<td><img class="screenshot" src="${dataUri(diff.png)}" alt="diff" title="changed pixels in red"><br><span style="color:${diff.diffPct > 0 ? '#f59e0b' : '#9ca3af'};font-weight:bold;">${diff.diffPct.toFixed(1)}% changed</span></td>`
+            : '<td>-</td>';
+
+        return `
+          <tr>
+            <td>${label}</td>
+            ${cols}
+            ${diffCol}
+          </tr>`;
+    }).join('');
+
+    return `
+        <h3>Screenshots (median run by LCP)</h3>
+        <table>
+          <thead>
+            <tr><th>Screenshot</th>${releases.map(r => `<th>${escapeHtml(labels[r])}${byRelease[r] ? ` (run ${byRelease[r].run})` : ''}</th>`).join('')}${prevRelease ? `<th>Diff ${escapeHtml(labels[prevRelease])} → ${escapeHtml(labels[lastRelease])}</th>` : ''}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Charts are drawn for the first timings only, an allow-list in the site definition picks the relevant ones
+const MAX_USER_TIMING_CHARTS = 20;
+
+// User Timing marks and measures per release, collapsed as there can be hundreds
+function userTimingsSectionHtml(releases, { names, results, metricsByRelease }, baseline, labels) {
+    const rows = deltaRowsHtml(releases, names, { results, metricsByRelease }, baseline);
+    const charts = names.slice(0, MAX_USER_TIMING_CHARTS).map(name => `
+      <div class="panel"><h3>${name}</h3>${barChartSvg(releases.map(r => labels[r]), releases.map(r => results[r].find(d => d.metric === name)?.value ?? null), 'ms')}</div>
+    `).join('');
+
+    return `
+        <details>
+          <summary><h3>User Timing (${names.length})</h3></summary>
+          <table>
+            <thead>
+              <tr><th>Mark / measure</th>${releases.map(r => `<th>${escapeHtml(labels[r])}</th>`).join('')}${deltaHeaderHtml(baseline)}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <div class="delta-grid">${charts}</div>${names.length > MAX_USER_TIMING_CHARTS ? `
+          <p>Charts of the first ${MAX_USER_TIMING_CHARTS} of ${names.length} timings, configure a "userTimings" allow-list in the site definition to choose them.</p>` : ''}
+        </details>`;
+}
+
+// Long tasks and Long Animation Frames per release, and the scripts behind the LoAF blocking time
+function cpuSectionHtml(releases, { results, metricsByRelease, scriptsByRelease }, baseline, labels) {
+    const lastRelease = releases[releases.length - 1];
+    const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
+
+    const rows = deltaRowsHtml(releases, Object.keys(cpuMetricUnits), { results, metricsByRelease }, baseline);
+
+    const scripts = topLoafScripts(scriptsByRelease[lastRelease], prevRelease ? scriptsByRelease[prevRelease] : null);
+    const scriptRows = scripts.map(({ url, blocking, prevBlocking }) => {
+        const diff = prevBlocking == null ? null : blocking - prevBlocking;
+        const color = diff > 0 ? '#ef4444' : diff < 0 ? '#10b981' : '#9ca3af';
+        return `
+          <tr>
+            <td>${scriptLabel(url)}</td>
+            ${prevRelease ? `<td>${formatValue(prevBlocking, 'ms')}</td>` : ''}
+            <td>${formatValue(blocking, 'ms')}</td>
+            ${prevRelease ? `<td style="color:${color};font-weight:bold;">${formatValue(diff, 'ms')}</td>` : ''}
+          </tr>`;
+    }).join('');
+
+    const scriptTable = scripts.length === 0 ? '' : `
+        <h4>Scripts with the most LoAF blocking time per run (${escapeHtml(labels[lastRelease])})</h4>
+        <table>
+          <thead>
+            <tr><th>Script</th>${prevRelease ? `<th>${escapeHtml(labels[prevRelease])}</th>` : ''}<th>${escapeHtml(labels[lastRelease])}</th>${prevRelease ? '<th>Δ</th>' : ''}</tr>
+          </thead>
+          <tbody>${scriptRows}</tbody>
+        </table>`;
+
+    return `
+        <h3>Main-thread CPU</h3>
+        <table>
+          <thead>
+            <tr><th>Metric</th>${releases.map(r => `<th>${escapeHtml(labels[r])}</th>`).join('')}${deltaHeaderHtml(baseline)}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>${scriptTable}`;
+}
+
+const resourceRowLabels = {
+    html: 'HTML',
+    css: 'CSS',
+    javascript: 'JavaScript',
+    image: 'Images',
+    font: 'Fonts',
+    json: 'JSON',
+    other: 'Other'
+};
+
+// Requests and transfer size per release from the HAR summaries, with the third-party domains
+// that appeared or disappeared and the largest requests of the last release
+function resourcesSectionHtml(releases, resourcesByRelease, labels) {
+    const lastRelease = releases[releases.length - 1];
+    const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
+    const last = resourcesByRelease[lastRelease];
+    const prev = prevRelease ? resourcesByRelease[prevRelease] : null;
+
+    const signed = (value, format) => value == null ? '-' : `${value > 0 ? '+' : ''}${format(value)}`;
+    const requestsAndBytes = entry => entry ? `${+entry.requests.toFixed(1)} · ${formatBytes(entry.transferBytes)}` : '-';
+
+    const rowDefs = [
+        ['All requests', summary => summary],
+        ...contentTypes.map(type => [resourceRowLabels[type], summary => summary.byContentType[type]]),
+        ['First party', summary => summary.byParty.firstParty],
+        ['Third party', summary => summary.byParty.thirdParty]
+    ];
+
+    const rows = rowDefs.map(([label, pick]) => {
+        const cols = releases.map(r => resourcesByRelease[r]
+            ? `<td>${requestsAndBytes(pick(resourcesByRelease[r]))}</td>`
+            : '<td class="not-measured">no HAR summary</td>').join('');
+
+        const lastEntry = last ? pick(last) : null;
+        const prevEntry = prev ? pick(prev) : null;
+        const bytesDiff = lastEntry && prevEntry ? lastEntry.transferBytes - prevEntry.transferBytes : null;
+        const requestsDiff = lastEntry && prevEntry ? lastEntry.requests - prevEntry.requests : null;
+        const color = bytesDiff > 0 ? '#ef4444' : bytesDiff < 0 ? '#10b981' : '#9ca3af';
+
+        return `
+          <tr>
+            <td>${label}</td>
+            ${cols}
+            <td style="color:${color};font-weight:bold;">${bytesDiff == null ? '-' : `${signed(requestsDiff, v => +v.toFixed(1))} · ${signed(bytesDiff, formatBytes)}`}</td>
+          </tr>`;
+    }).join('');
+
+    const cacheCols = releases.map(r => `<td>${resourcesByRelease[r]?.cacheHitRatio != null ? `${Math.round(resourcesByRelease[r].cacheHitRatio * 100)}%` : '-'}</td>`).join('');
+
+    // third-party domains that are new or gone in the last release
+    const domainChanges = !last || !prev ? [] : [
+        ...Object.entries(last.byDomain)
+            .filter(([domain, d]) => d.party === 'thirdParty' && !prev.byDomain[domain])
+            .map(([domain, d]) => ({ domain, change: 'new', ...d })),
+        ...Object.entries(prev.byDomain)
+            .filter(([domain, d]) => d.party === 'thirdParty' && !last.byDomain[domain])
+            .map(([domain, d]) => ({ domain, change: 'removed', ...d }))
+    ];
+    const domainTable = domainChanges.length === 0 ? '' : `
+        <h4>Third-party domains changed between ${escapeHtml(labels[prevRelease])} and ${escapeHtml(labels[lastRelease])}</h4>
+        <table>
+          <thead><tr><th>Domain</th><th>Change</th><th>Requests · transfer size</th></tr></thead>
+          <tbody>${domainChanges.map(({ domain, change, ...d }) => `
+            <tr><td>${domain}</td><td style="color:${change === 'new' ? '#ef4444' : '#10b981'};font-weight:bold;">${change}</td><td>${requestsAndBytes(d)}</td></tr>`).join('')}
+          </tbody>
+        </table>`;
+
+    const largestTable = !last || last.largestRequests.length === 0 ? '' : `
+        <h4>Largest requests (${escapeHtml(labels[lastRelease])})</h4>
+        <table>
+          <thead><tr><th>Request</th><th>Type</th><th>Transfer size</th></tr></thead>
+          <tbody>${last.largestRequests.map(({ url, contentType, transferBytes }) => `
+            <tr><td>${scriptLabel(url)}</td><td>${resourceRowLabels[contentType] || contentType}</td><td>${formatBytes(transferBytes)}</td></tr>`).join('')}
+          </tbody>
+        </table>`;
+
+    return `
+        <h3>Resources</h3>
+        <table>
+          <thead>
+            <tr><th>Requests · transfer size</th>${releases.map(r => `<th>${escapeHtml(labels[r])}</th>`).join('')}<th>Δ</th></tr>
+          </thead>
+          <tbody>${rows}
+          <tr>
+            <td>Cache hit ratio</td>
+            ${cacheCols}
+            <td>-</td>
+          </tr></tbody>
+        </table>${domainTable}${largestTable}`;
+}
+
+const coachStatusLabels = {
+    'new-failure': { text: '▼ new failure', color: '#ef4444' },
+    worse: { text: '▼ worse', color: '#ef4444' },
+    fixed: { text: '▲ fixed', color: '#10b981' },
+    better: { text: '▲ better', color: '#10b981' }
+};
+
+// Coach category scores per release and the advice whose score changed in the last release
+function coachSectionHtml(releases, { byRelease, changes }, labels) {
+    const lastRelease = releases[releases.length - 1];
+    const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
+
+    const rows = Object.entries(coachCategories).map(([category, label]) => {
+        const cols = releases.map(r => byRelease[r]
+            ? `<td>${byRelease[r].categories[category] ?? '-'}</td>`
+            : '<td class="not-measured">not measured</td>').join('');
+
+        const last = byRelease[lastRelease]?.categories[category];
+        const prev = prevRelease ? byRelease[prevRelease]?.categories[category] : null;
+        const diff = last != null && prev != null ? last - prev : null;
+        const color = diff > 0 ? '#10b981' : diff < 0 ? '#ef4444' : '#9ca3af';
+
+        return `
+          <tr>
+            <td>${label}</td>
+            ${cols}
+            <td style="color:${color};font-weight:bold;">${diff != null ? `${diff > 0 ? '+' : ''}${diff} ${diff > 0 ? '↑' : diff < 0 ? '↓' : '→'}` : '-'}</td>
+          </tr>`;
+    }).join('');
+
+    const changeRows = changes.map(({ category, title, advice, prevScore, score, status }) => `
+          <tr>
+            <td>${coachCategories[category]}</td>
+            <td>${escapeHtml(title)}</td>
+            <td>${prevScore} → ${score}</td>
+            <td style="color:${coachStatusLabels[status].color};font-weight:bold;">${coachStatusLabels[status].text}</td>
+            <td style="text-align:left;">${escapeHtml(advice)}</td>
+          </tr>`).join('');
+
+    const changeTable = !prevRelease || !byRelease[prevRelease] || !byRelease[lastRelease] ? '' : changes.length === 0
+        ? `
+        <p>No coach advice changed score between ${escapeHtml(labels[prevRelease])} and ${escapeHtml(labels[lastRelease])}.</p>`
+        : `
+        <h4>Coach advice changed between ${escapeHtml(labels[prevRelease])} and ${escapeHtml(labels[lastRelease])}</h4>
+        <table>
+          <thead>
+            <tr><th>Category</th><th>Advice</th><th>Score</th><th>Change</th><th>Details (${escapeHtml(labels[lastRelease])})</th></tr>
+          </thead>
+          <tbody>${changeRows}</tbody>
+        </table>`;
+
+    return `
+        <h3>Coach advice</h3>
+        <table>
+          <thead>
+            <tr><th>Category score</th>${releases.map(r => `<th>${escapeHtml(labels[r])}</th>`).join('')}<th>Δ</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>${changeTable}`;
+}
+
+// What every metric adds to the score of the last release, and how that changed since the previous one
+function scoreBreakdownHtml(breakdown, prevBreakdown, profile) {
+    if (breakdown.length === 0) return '';
+
+    const rows = breakdown.map(({ metric, score, weight, points }) => {
+        const prev = prevBreakdown?.find(m => m.metric === metric);
+        const diff = prev ? points - prev.points : null;
+        const color = diff == null || Math.abs(diff) < 0.5 ? '#9ca3af' : diff > 0 ? '#10b981' : '#ef4444';
+        return `
+              <tr><td>${metric}</td><td style="color:${ratingColors[scoreRating(score)]};font-weight:bold;">${score}</td><td>${Math.round(weight * 100)}%</td><td>${points.toFixed(1)}</td><td style="color:${color};">${diff == null ? '-' : `${diff > 0 ? '+' : ''}${diff.toFixed(1)}`}</td></tr>`;
+    }).join('');
+
+    return `
+            <table class="score-breakdown" title="${profile.label} score profile">
+              <thead><tr><th>Metric</th><th>Score</th><th>Weight</th><th>Points</th><th>Δ</th></tr></thead>
+              <tbody>${rows}
+              </tbody>
+            </table>`;
+}
+
+// Build, commit, environment and notes of a release from its metadata, e.g. for a tooltip
+function releaseDetails(metadata) {
+    if (!metadata) return '';
+    return [
+        metadata.build && `build ${metadata.build}`,
+        metadata.gitSha && metadata.gitSha.slice(0, 10),
+        metadata.environment,
+        metadata.notes
+    ].filter(Boolean).join(' · ');
+}
+
+// releaseUrl links the release reports, the published sitespeed.io reports by default
+function renderHtml({ site, releases, releaseLabels: labels, releaseMetadata: metadataByRelease, aggregate, baseline, allResults, dataQuality }, { releaseUrl = (s, entry) => entry.url } = {}) {
+    const profile = scoreProfile(site.scoreProfile);
+    const sectionHtml = allResults.map(({ section, page, results, metricsByRelease, distributionByRelease, scoreByRelease, breakdownByRelease, scoreBaselineByRelease, drift, cpu, coach, resources, userTimings, screenshots }) => {
         const metrics = Object.keys(metricUnits);
 
         const lastRelease = releases[releases.length - 1];
         const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
 
-        const lastMetrics = metricsByRelease[lastRelease];
-        const prevMetrics = prevRelease ? metricsByRelease[prevRelease] : null;
-
-        const score = calculatePerfScore(lastMetrics) || 0;
-        const prevScore = prevMetrics ? calculatePerfScore(prevMetrics) : null;
+        const score = scoreByRelease[lastRelease];
+        const prevScore = prevRelease ? scoreByRelease[prevRelease] : null;
         let scoreDiff = null, scoreArrow = '→', scoreColorDiff = '#9ca3af';
 
-        const scoreColor = score < 50 ? '#ef4444' : score < 90 ? '#f16626' : '#10b981';
-        const scoreBg = score < 50 ? '#fecaca' : score < 90 ? '#ffd3a6' : '#bbf7d0';
+        const rating = scoreRating(score);
+        const scoreColor = rating ? scoreColors[rating] : '#9ca3af';
+        const scoreBg = rating ? scoreBackgrounds[rating] : '#374151';
 
-        if (prevScore != null) {
+        // score against the baseline: the score of the pinned release, the best or the median score
+        const scoreBaseline = scoreBaselineByRelease[lastRelease];
+        const scoreBaselineDiff = score != null && scoreBaseline ? score - Math.round(scoreBaseline.value) : null;
+        const scoreBaselineHtml = !baseline ? '' : `
+                    <p style="color:${scoreBaselineDiff > 0 ? '#10b981' : scoreBaselineDiff < 0 ? '#ef4444' : '#9ca3af'}; margin:0;" title="${scoreBaseline ? scoreBaseline.releases.join(', ') : ''}">
+                        ${scoreBaselineDiff != null ? `${scoreBaselineDiff > 0 ? '+' : ''}${scoreBaselineDiff}` : '–'} vs ${baseline.label}
+                    </p>`;
+
+        if (score != null && prevScore != null) {
             scoreDiff = score - prevScore;
             if (scoreDiff > 0) {
                 scoreArrow = '↑';
@@ -186,45 +581,24 @@ function generateHtml(allResults, releases, outputFile) {
 
         const rows = metrics.map(metric => {
             const cols = releases.map((r, idx) => {
+                if (!metricsByRelease[r]) return '<td class="not-measured">not measured</td>';
+
                 const data = results[r].find(m => m.metric === metric);
                 let cellValue = data ? formatValue(data.value, data.unit) : '-';
 
                 // highlight only the last release cell
                 if (idx === releases.length - 1 && data && data.value != null) {
-                    let color = '', bg = '';
-
-                    if (metric === 'CLS') {
-                        // ✅ CLS uses thresholds (Web Vitals buckets)
-                        if (data.value <= 0.1) { color = '#10b981'; }     // green
-                        else if (data.value <= 0.25) { color = '#ff996b'; } // orange
-                        else { color = '#ef4444'; }                        // red
-                    } else {
-                        // ✅ Other metrics use log-normal score
-                        let score;
-                        switch (metric) {
-                            case 'FCP':  score = logNormalScore(data.value, 1800, 3000); break;
-                            case 'LCP':  score = logNormalScore(data.value, 2500, 4000); break;
-                            case 'TBT':  score = logNormalScore(data.value, 300, 600); break;
-                            case 'TTFB': score = logNormalScore(data.value, 800, 1800); break;
-                        }
-
-                        if (score != null) {
-                            if (score < 50) { color = '#ef4444'; }
-                            else if (score < 90) { color = '#ff996b'; }
-                            else { color = '#10b981'; }
-                        }
-                    }
-
-                    cellValue = `<span style="display:inline-block;padding:4px 8px;border-radius:6px;background:${bg};color:${color};font-weight:bold;">${cellValue}</span>`;
+                    cellValue = metricBadge(cellValue, metricColor(metric, data.value));
                 }
 
-                return `<td>${cellValue}</td>`;
+                return `<td>${cellValue}${rsdWarning(distributionByRelease[r]?.[metric], aggregate)}</td>`;
             }).join('');
 
-            // compare last vs previous
+            // compare last vs previous, colored only when the change is beyond run-to-run noise
             const last = results[releases[releases.length - 1]].find(m => m.metric === metric);
             const arrow = last?.diff < 0 ? '↓' : last?.diff > 0 ? '↑' : '→';
-            const color = last?.diff < 0 ? '#10b981' : last?.diff > 0 ? '#ef4444' : '#9ca3af';
+            const significance = formatSignificance(last?.significance);
+            const color = significance.color;
 
             return `
       <tr>
@@ -236,45 +610,40 @@ function generateHtml(allResults, releases, outputFile) {
         <td style="color:${color};font-weight:bold;">
           ${last?.pct != null ? formatPct(last.pct) : 'N/A'}
         </td>
+        <td style="color:${color};" title="${significance.title}">${significance.text}</td>${baseline ? baselineDeltaHtml(last) : ''}
       </tr>`;
         }).join('\n');
 
-        // Chart.js dataset for each metric
-        const charts = metrics.map((metric, i) => {
-            const values = releases.map(r => {
-                const data = results[r].find(m => m.metric === metric);
-                return data?.value ?? 'null';
-            });
-
-            return `
-      new Chart(document.getElementById('${section}_chart_${i}').getContext('2d'), {
-        type: 'bar',
-        data: {
-          labels: ${JSON.stringify(releases)},
-          datasets: [{
-            label: '${metric}',
-            data: [${values.join(',')}],
-            backgroundColor: '#3b82f6'
-          }]
-        },
-        options: { responsive: true, plugins:{ legend:{ display:false } } }
-      });`;
-        }).join('\n');
+        // bar + trend line chart for each metric, rendered inline so the report works offline
+        const charts = metrics.map(m => `
+      <div class="panel"><h3>${m}</h3>${barChartSvg(releases.map(r => labels[r]), releases.map(r => results[r].find(d => d.metric === m)?.value ?? null), metricUnits[m])}</div>
+    `).join('');
 
-        const chartCanvases = metrics.map((m, i) => `
-      <div class="panel"><h3>${m}</h3><canvas id="${section}_chart_${i}"></canvas></div>
+        const boxPlots = metrics.map(m => `
+      <div class="panel"><h3>${m}</h3>${boxPlotSvg(releases.map(r => labels[r]), releases.map(r => distributionByRelease[r]?.[m]), metricUnits[m])}</div>
     `).join('');
 
+        // metrics of the last release whose median hides a wide spread of runs
+        const noisyMetrics = metrics
+            .map(m => ({ metric: m, rsd: distributionByRelease[lastRelease]?.[m]?.rsd }))
+            .filter(({ rsd }) => rsd != null && rsd > HIGH_RSD);
+        const noiseWarning = noisyMetrics.length === 0 ? '' : `
+        <p class="warning">⚠️ High variance in ${escapeHtml(labels[lastRelease])}: ${noisyMetrics.map(({ metric, rsd }) => `${metric} (rsd ${Math.round(rsd)}%)`).join(', ')}. The ${aggregate} of these metrics is not trustworthy, check the distribution below.</p>`;
+
+        // releases measured in a different test environment
+        const driftWarning = drift.length === 0 ? '' : `
+        <p class="warning">⚠️ Test environment changed between releases, deltas across these releases are not comparable: ${drift.map(({ label, groups }) => `<b>${label}</b> ${groups.map(({ value, releases: rs }) => `${value} (${rs.map(r => escapeHtml(labels[r])).join(', ')})`).join(' → ')}`).join('; ')}.</p>`;
+
         return `
       <div class="panel">
         <div class="score-container">
             <div style="display: flex; align-items: center; gap: 16px;">
-                <p class="score" style="border-color:${scoreColor}; background:${scoreBg}; color:${scoreColor};">${score}</p>
+                <p class="score" style="border-color:${scoreColor}; background:${scoreBg}; color:${scoreColor};">${score ?? '–'}</p>
                 <div>
                     <p style="color:${scoreColorDiff}; font-weight:bold; margin:0;">
                         ${scoreDiff != null ? `${scoreDiff > 0 ? '+' : ''}${scoreDiff} ${scoreArrow}` : '–'}
-                    </p>
-                </div>
+                    </p>${scoreBaselineHtml}
+                </div>${scoreBreakdownHtml(breakdownByRelease[lastRelease].breakdown, prevRelease ? breakdownByRelease[prevRelease].breakdown : null, profile)}
             </div>
             <div class="score-metrics">
                 <p>🔴 0-49</p>
@@ -285,83 +654,107 @@ function generateHtml(allResults, releases, outputFile) {
         <h2><a href="${page}" target="_blank">${section}</a></h2>
         <table>
           <thead>
-            <tr><th>Metric</th>${releases.map(r => `<th>${r}</th>`).join('')}<th>Δ</th><th>Δ%</th></tr>
+            <tr><th>Metric</th>${releases.map(r => `<th>${escapeHtml(labels[r])}</th>`).join('')}${deltaHeaderHtml(baseline)}</tr>
           </thead>
           <tbody>${rows}</tbody>
-        </table>
-        <div class="delta-grid">${chartCanvases}</div>
+        </table>${driftWarning}${noiseWarning}
+        <div class="delta-grid">${charts}</div>
+        <h3>Distribution of runs</h3>
+        <div class="delta-grid">${boxPlots}</div>${cpu ? cpuSectionHtml(releases, cpu, baseline, labels) : ''}${coach ? coachSectionHtml(releases, coach, labels) : ''}${resources ? resourcesSectionHtml(releases, resources, labels) : ''}${screenshots ? screenshotsSectionHtml(releases, screenshots, labels) : ''}${userTimings ? userTimingsSectionHtml(releases, userTimings, baseline, labels) : ''}
       </div>
-      <script>${charts}</script>
     `;
     }).join('\n');
 
-    const html = `<!DOCTYPE html>
+    // release reports of every site (this one first), generated from the release folders on disk
+    const histories = allReleaseHistories().sort((a, b) => (b.site.name === site.name) - (a.site.name === site.name));
+    const releasePanels = histories.map(({ site: s, releases: history }) => `
+        <div>
+            <h2>${s.title} - release reports</h2>
+            <div>
+                ${history.map(entry => `<a href="${releaseUrl(s, entry)}" target="_blank" title="${escapeHtml(releaseDetails(entry.metadata))}"><b>${escapeHtml(entry.label)}</b>${entry.date ? ` (${formatDate(entry.date)})` : ''}</a>`).join('\n                ')}
+            </div>
+        </div>`).join('');
+
+    // missing files, failed pages and missing runs, newest release first
+    const qualityRows = [...dataQuality]
+        .sort((a, b) => releases.indexOf(b.release) - releases.indexOf(a.release))
+        .map(({ release, section, type, message }) => `
+            <tr><td>${escapeHtml(labels[release])}</td><td>${section}</td><td>${issueLabels[type]}</td><td>${message}</td></tr>`).join('');
+    const qualityPanel = dataQuality.length === 0
+        ? '<p>✅ No missing summaries, failed pages, run errors or missing runs.</p>'
+        : `<table>
+          <thead><tr><th>Release</th><th>Page</th><th>Issue</th><th>Details</th></tr></thead>
+          <tbody>${qualityRows}
+          </tbody>
+        </table>`;
+
+    // environment of the last release over all pages, drift is reported per section
+    const environment = allResults[0]?.environmentByRelease[releases[releases.length - 1]] || {};
+
+    const lastRelease = releases[releases.length - 1];
+    const lastReleaseDetails = releaseDetails(metadataByRelease[lastRelease]);
+
+    return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <title>Sitespeed.io Multi-Release Report</title>
-  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
   <style>
-    body { font-family:sans-serif; margin:0; background:#1f2937; color:#f9fafb; }
-    header { background:#111827; padding:1rem; text-align:center; border-bottom:1px solid #374151; }
-    a { color:#f9fafb; text-decoration:none; display:block; margin-bottom:1rem; }
-    .score-container { display: flex; justify-content: center; align-items: center; flex-direction: column; gap: 26px; }
-    .score { background: darkgray; margin: 0; padding: 20px; font-size: 32px; font-weight: 600; border: 4px solid green; border-radius: 50%; }
-    .score-metrics { display: flex; gap: 36px; p { margin: 0; } }
-    .environment-config { display: flex; gap: 30px; justify-content: center; }
-    .environment-config-column { display: flex; justify-content: center; align-items: flex-end; }
-    .container { padding:2rem; display:grid; gap:2rem; max-width:1400px; margin:auto; }
-    .panel { background:#111827; border:1px solid #374151; border-radius:10px; padding:1rem; }
-    .panel-release { background:#111827; border:1px solid #374151; display: grid; grid-template-columns: 1fr 1fr; border-radius:10px; padding:1.5rem; box-shadow:0 2px 6px rgba(0,0,0,0.5); }
-    table { width:100%; border-collapse:collapse; margin-top:1rem; }
-    thead { background:#374151; }
-    th,td { padding:8px; text-align:center; }
-    td:first-child{ text-align:left; font-weight:500; }
-    tr:nth-child(even){ background:#1f2937; }
-    tr:nth-child(odd){ background:#111827; }
-    .delta-grid{ display:grid; grid-template-columns:repeat(auto-fill, minmax(300px,1fr)); gap:1rem; }
-  </style>
+${reportStyles}  </style>
 </head>
 <body>
   <header>
-    <h1>📊 Homerun - Release Performance Comparison</h1>
+    <h1>📊 ${site.title} - Release Performance Comparison</h1>
       <div class="environment-config">
+          <div class="environment-config-column">
+            <span class="text-2xl">🏷️</span>
+            <span class="text-sm text-gray-400">Release:&nbsp;</span>
+            <span class="font-semibold">${escapeHtml(labels[lastRelease])}${lastReleaseDetails ? ` (${escapeHtml(lastReleaseDetails)})` : ''}</span>
+          </div>
           <div class="environment-config-column">
             <span class="text-2xl">📱</span>
             <span class="text-sm text-gray-400">Platform:&nbsp;</span>
-            <span class="font-semibold">Mobile (avg)</span>
+            <span class="font-semibold">${environment.browser ?? '–'}${environment.viewport ? `, ${environment.viewport}` : ''}</span>
           </div>
           <div class="environment-config-column">
             <span class="text-2xl">🌐</span>
             <span class="text-sm text-gray-400">Network:&nbsp;</span>
-            <span class="font-semibold">4G (average)</span>
+            <span class="font-semibold">${environment.connectivity ?? '–'}</span>
           </div>
           <div class="environment-config-column">
             <span class="text-2xl">📋</span>
             <span class="text-sm text-gray-400">Executed Tests/Page:&nbsp;</span>
-            <span class="font-semibold">10</span>
+            <span class="font-semibold">${environment.iterations ?? '–'}</span>
+          </div>
+          <div class="environment-config-column">
+            <span class="text-2xl">⏱️</span>
+            <span class="text-sm text-gray-400">browsertime:&nbsp;</span>
+            <span class="font-semibold">${environment.browsertime ?? '–'}</span>
+          </div>
+          <div class="environment-config-column">
+            <span class="text-2xl">📐</span>
+            <span class="text-sm text-gray-400">Aggregate:&nbsp;</span>
+            <span class="font-semibold">${aggregate}</span>
           </div>
+          <div class="environment-config-column">
+            <span class="text-2xl">🎯</span>
+            <span class="text-sm text-gray-400">Score:&nbsp;</span>
+            <span class="font-semibold">${profile.label}</span>
+          </div>${baseline ? `
+          <div class="environment-config-column">
+            <span class="text-2xl">📌</span>
+            <span class="text-sm text-gray-400">Baseline:&nbsp;</span>
+            <span class="font-semibold">${baseline.label}</span>
+          </div>` : ''}
     </div>
   </header>
   <div class="container">
     ${sectionHtml}
-    <div class="panel-release">
-        <div>
-            <h2>Homerun - release reports</h2>
-            <div>
-                <a href="https://ascend-sw.github.io/homerun/release-30/" target="_blank"><b>release-30</b> (01.10.2025)</a>
-                <a href="https://ascend-sw.github.io/homerun/release-29/" target="_blank"><b>release-29</b> (16.09.2025)</a>
-                <a href="https://ascend-sw.github.io/homerun/release-28/" target="_blank"><b>release-28</b> (02.09.2025)</a>
-            </div>
-        </div>
-        <div>
-            <h2>Baristina - release reports</h2>
-            <div>
-                <a href="https://ascend-sw.github.io/baristina/release-30/" target="_blank"><b>release-30</b> (01.10.2025)</a>
-                <a href="https://ascend-sw.github.io/baristina/release-29/" target="_blank"><b>release-29</b> (16.09.2025)</a>
-                <a href="https://ascend-sw.github.io/baristina/release-28/" target="_blank"><b>release-28</b> (02.09.2025)</a>
-            </div>
-        </div>
+    <div class="panel">
+        <h2>Data quality</h2>
+        ${qualityPanel}
+    </div>
+    <div class="panel-release">${releasePanels}
     </div>
     <div class="panel">
          <h2>Metric Details</h2>
@@ -370,51 +763,439 @@ function generateHtml(allResults, releases, outputFile) {
          <p><b>LCP (Largest Contentful Paint): </b>this metric reports the render time of the largest content element visible in the viewport.</p>
          <p><b>CLS (Cumulative Layout Shift): </b>measures the sum total of all individual layout shift scores for unexpected layout shift that occur. The metric is measuring visual stability by quantify how often users experience unexpected layout shifts. It is one of Google Web Vitals.</p>
          <p><b>TTFB (Time To First Byte): </b>The time it takes for the network and the server to generate and start sending the HTML. Collected using the Navigation Timing API with the definition: responseStart - navigationStart</p>
+         <p><b>Score: </b>every metric is scored 0-100 on a log-normal curve and the page score is their weighted average, with the curves and weights of the ${profile.label} profile (scoreProfile in the site definition). Metrics the profile does not score, or that were not measured, are left out and the weights of the others rescaled. The table next to the score shows the score, weight and points of every metric in ${escapeHtml(labels[releases[releases.length - 1]])} and the points gained or lost since the previous release.</p>
+         <p><b>Aggregate and distribution: </b>values are the ${aggregate} of the runs of each release (select it with --aggregate median|p75|p90|mean). The box plots show min / q1 / median / q3 / max of the runs, ⚠️ marks metrics with a relative standard deviation above ${HIGH_RSD}%, where a single aggregate is not trustworthy.</p>
+         <p><b>Main-thread CPU: </b>long tasks are tasks blocking the main thread for more than 50 ms, per run their count, total and longest duration. Long Animation Frames (LoAF) are frames delayed by more than 50 ms, browsertime keeps the 10 longest of every run: their total blocking time and the longest frame. The blocking time of every frame is split between the scripts attributed to it, build hashes in script names are replaced by * to compare the same script between releases.</p>
+         <p><b>Coach advice: </b>category and advice scores (0-100) of the sitespeed.io coach, median of the runs. The advice list shows every advice whose score changed between the last two releases: a new failure was at 100 before, a fixed advice is back at 100.</p>
+         <p><b>Screenshots: </b>LCP, layout shift and page complete screenshots of the run with the median LCP of every release. The diff image marks the pixels that changed between the last two releases in red, the percentage is the share of changed pixels.</p>
+         <p><b>User Timing: </b>marks (start time) and measures (duration) set by the page with the User Timing API, ${aggregate} of the runs like the Web Vitals.</p>
+${baseline ? `         <p><b>Baseline: </b>besides the previous release, the last release is compared with ${baselineDescriptions[baseline.type](baseline)}, so a series of small regressions adds up. The runs of the reference release(s) are tested for significance the same way, hover a cell to see which releases the reference was taken from.</p>
+` : ''}         <p><b>Significance: </b>the runs of the last two releases are compared with a Mann-Whitney U test. A delta is only reported as a regression or improvement when it is significant at ${Math.round((1 - SIGNIFICANCE_ALPHA) * 100)}% confidence, otherwise it is within the run-to-run noise. Pages with less than 2 runs per release cannot be tested.</p>
      </div>
   </div>
 </body>
 </html>`;
+}
 
-    fs.writeFileSync(outputFile, html, 'utf8');
+function generateHtml(comparison, outputFile) {
+    fs.writeFileSync(outputFile, renderHtml(comparison), 'utf8');
     console.log(`✅ Report saved: ${outputFile}`);
 }
 
-// ---- Main ----
-if (process.argv.length < 4) {
-    console.log('Usage: node compare-results.js <output.html> <baseDir>');
-    process.exit(1);
+// Side by side view of several sites built on the same platform.
+// One panel per page type measured on more than one site, one row per release.
+function renderCrossSiteHtml(comparisons) {
+    // a release keeps the metadata and label of the first site that has metadata for it
+    const metadataByRelease = {};
+    comparisons.forEach(c => c.releases.forEach(r => {
+        metadataByRelease[r] = metadataByRelease[r] || c.releaseMetadata[r];
+    }));
+    const labels = Object.fromEntries(Object.keys(metadataByRelease).map(r => [r, releaseLabel(r, metadataByRelease[r])]));
+    const releases = sortReleases(new Set(comparisons.flatMap(c => c.releases)), metadataByRelease);
+    const metrics = Object.keys(metricUnits);
+    const siteTitles = comparisons.map(c => c.site.title).join(' vs ');
+
+    const pageTypes = [...new Set(comparisons.flatMap(c => c.allResults.map(r => r.pageType)))]
+        .filter(type => comparisons.filter(c => c.allResults.some(r => r.pageType === type)).length > 1);
+
+    const panels = pageTypes.map(type => {
+        const entries = comparisons.map(({ site, allResults }) => ({ site, result: allResults.find(r => r.pageType === type) }));
+        const title = entries.find(e => e.result).result.section;
+
+        const rows = releases.map((release, idx) => {
+            const prevRelease = idx > 0 ? releases[idx - 1] : null;
+            const compared = [], regressed = [];
+
+            const cells = entries.map(({ site, result }) => {
+                const releaseMetrics = result?.metricsByRelease[release];
+                if (!releaseMetrics) return `<td class="not-measured" colspan="${metrics.length + 1}">not measured</td>`;
+
+                const score = result.scoreByRelease[release];
+                const prevScore = prevRelease ? result.scoreByRelease[prevRelease] : null;
+                let scoreDiff = '';
+                if (score != null && prevScore != null) {
+                    const diff = score - prevScore;
+                    compared.push(site.title);
+                    if (diff < 0) regressed.push(site.title);
+                    const color = diff > 0 ? '#10b981' : diff < 0 ? '#ef4444' : '#9ca3af';
+                    scoreDiff = ` <small style="color:${color};">(${diff > 0 ? '+' : ''}${diff})</small>`;
+                }
+
+                const metricCells = metrics.map(metric => {
+                    const value = releaseMetrics[metric];
+                    return `<td>${value == null ? '-' : metricBadge(formatValue(value, metricUnits[metric]), metricColor(metric, value))}</td>`;
+                }).join('');
+
+                return `<td class="site-start"><b>${score ?? '–'}</b>${scoreDiff}</td>${metricCells}`;
+            }).join('');
+
+            // a score drop on every site points at the platform release, on one site at that brand
+            let impact = '<span style="color:#9ca3af;">–</span>';
+            if (regressed.length > 1 && regressed.length === compared.length) {
+                impact = '<span style="color:#ef4444;font-weight:bold;">⚠️ regressed on all sites</span>';
+            } else if (regressed.length > 0) {
+                impact = `<span style="color:#ff996b;font-weight:bold;">${regressed.join(', ')} only</span>`;
+            } else if (compared.length > 0) {
+                impact = '<span style="color:#10b981;">no score regression</span>';
+            }
+
+            return `
+          <tr><td>${escapeHtml(labels[release])}</td>${cells}<td>${impact}</td></tr>`;
+        }).join('');
+
+        return `
+      <div class="panel">
+        <h2>${title}</h2>
+        <table>
+          <thead>
+            <tr><th rowspan="2">Release</th>${entries.map(({ site, result }) => `<th class="site-start" colspan="${metrics.length + 1}">${result?.page ? `<a href="${result.page}" target="_blank">${site.title}</a>` : site.title}</th>`).join('')}<th rowspan="2">Platform impact</th></tr>
+            <tr>${entries.map(() => `<th class="site-start">Score</th>${metrics.map(m => `<th>${m}</th>`).join('')}`).join('')}</tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+      </div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Sitespeed.io Cross-Site Report</title>
+  <style>
+${reportStyles}    th a { display:inline; margin:0; }
+    .site-start { border-left:2px solid #374151; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>📊 ${siteTitles} - Cross-Site Release Performance Comparison</h1>
+  </header>
+  <div class="container">
+    ${panels}
+    <div class="panel">
+         <h2>How to read</h2>
+         <p>Pages are matched by page type (the sitespeed.io alias, or <b>pageType</b> in the site definition). Values are the ${comparisons[0].aggregate} of the runs, colored as good / needs improvement / poor by the Web Vitals thresholds, the score delta is against the previous release of the same site.</p>
+         <p><b>Platform impact: </b>when the score drops on every site for the same release the regression most likely comes from the shared platform, when it drops on one site only it is specific to that brand.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+function generateCrossSiteHtml(comparisons, outputFile) {
+    fs.writeFileSync(outputFile, renderCrossSiteHtml(comparisons), 'utf8');
+    console.log(`✅ Cross-site report saved: ${outputFile}`);
+}
+
+// Web Vitals comparison, performance score and environment drift of one section across releases
+function sectionScores(releases, { metricsByRelease, runsByRelease, environmentByRelease }, profile, baseline) {
+    const { results } = compareReleases(metricsByRelease, runsByRelease, metricUnits, baseline);
+    const breakdownByRelease = Object.fromEntries(releases.map(r => [r, scoreBreakdown(metricsByRelease[r], profile)]));
+    const scoreByRelease = Object.fromEntries(releases.map(r => [r, breakdownByRelease[r].score]));
+    const scoreBaselineByRelease = Object.fromEntries(releases.map(r => [r, baseline && scoreByRelease[r] != null ? baselineValue(baseline, releases, r, scoreByRelease, true) : null]));
+    return { results, breakdownByRelease, scoreByRelease, scoreBaselineByRelease, drift: environmentDrift(releases, environmentByRelease) };
+}
+
+// Load every release of a site and compare each page across releases
+function buildSiteComparison(site, { aggregate = 'median', baseline = null, from = null, to = null } = {}) {
+    const baseDir = siteDir(site);
+    const profile = scoreProfile(site.scoreProfile);
+    const siteReleases = listReleases(baseDir);
+    const releases = releaseRange(siteReleases, releaseMetadata(baseDir, siteReleases), { from, to });
+    const metadataByRelease = releaseMetadata(baseDir, releases);
+    const releaseLabels = Object.fromEntries(releases.map(r => [r, releaseLabel(r, metadataByRelease[r])]));
+
+    // Pages are discovered from the sitespeed.io output of every release
+    const sections = [
+        {
+            name: 'GLOBAL Website Performance',
+            alias: 'GLOBAL',
+            page: '',
+            files: Object.fromEntries(releases
+                .map(r => [r, path.join(baseDir, r, 'data/browsertime.summary-total.json')])
+                .filter(([, file]) => fs.existsSync(file)))
+        },
+        ...discoverSections(baseDir, releases, site)
+    ];
+
+    // summary-total has no per-run values: pool the runs of every page of the release
+    const pooledRuns = Object.fromEntries(releases.map(r => {
+        return [r, poolRuns(sections.slice(1)
+            .filter(({ files }) => files[r])
+            .map(({ files }) => extractRuns(loadJson(files[r]))))];
+    }));
+
+    // summary-total has no test environment either: merge the environments of the pages
+    const pooledEnvironments = Object.fromEntries(releases.map(r => [r, mergeEnvironments(sections.slice(1)
+        .filter(({ files }) => files[r])
+        .map(({ files }) => extractEnvironment(loadJson(files[r]))))]));
+
+    const allResults = sections.map(({ name, alias, pageType, page, files }) => {
+        const jsonByRelease = Object.fromEntries(releases.map(r => [r, files[r] ? loadJson(files[r]) : null]));
+        const metricsByRelease = {};
+        const runsByRelease = {};
+        const distributionByRelease = {};
+        const environmentByRelease = {};
+        const qualityByRelease = {};
+        releases.forEach(r => {
+            const json = jsonByRelease[r];
+            const runs = json ? (alias === 'GLOBAL' ? pooledRuns[r] : extractRuns(json)) : null;
+            metricsByRelease[r] = json ? extractMetrics(json, aggregate, runs) : null;
+            runsByRelease[r] = runs;
+            distributionByRelease[r] = json ? extractDistribution(json, runs) : null;
+            environmentByRelease[r] = alias === 'GLOBAL' ? pooledEnvironments[r] : extractEnvironment(json);
+            qualityByRelease[r] = json ? summaryQuality(json) : null;
+        });
+        const { results, breakdownByRelease, scoreByRelease, scoreBaselineByRelease, drift } = sectionScores(releases, { metricsByRelease, runsByRelease, environmentByRelease }, profile, baseline);
+
+        // long tasks, LoAF, coach advice, HAR summaries and user timings are only recorded per page
+        let cpu = null, coach = null, resources = null, userTimings = null, screenshots = null;
+        if (alias !== 'GLOBAL') {
+            const cpuRunsByRelease = {};
+            const cpuByRelease = {};
+            const scriptsByRelease = {};
+            const coachByRelease = {};
+            const resourcesByRelease = {};
+            const timingRunsByRelease = {};
+            const timingsByRelease = {};
+            const screenshotsByRelease = {};
+            releases.forEach(r => {
+                const json = jsonByRelease[r];
+                cpuRunsByRelease[r] = json ? extractCpuRuns(json) : null;
+                cpuByRelease[r] = extractCpuMetrics(cpuRunsByRelease[r], aggregate);
+                scriptsByRelease[r] = json ? extractLoafScripts(json) : null;
+                coachByRelease[r] = extractCoach(json);
+                resourcesByRelease[r] = files[r] ? loadResourceSummary(files[r]) : null;
+                timingRunsByRelease[r] = json ? extractUserTimingRuns(json, site.userTimings) : null;
+                timingsByRelease[r] = json ? extractUserTimings(json, aggregate, site.userTimings, timingRunsByRelease[r]) : null;
+                // screenshots of the run with the median LCP
+                const runIndex = medianRunIndex(runsByRelease[r]?.LCP);
+                screenshotsByRelease[r] = json ? { run: runIndex + 1, files: runScreenshots(json, path.join(baseDir, r), runIndex) } : null;
+            });
+            cpu = { results: compareReleases(cpuByRelease, cpuRunsByRelease, cpuMetricUnits, baseline).results, metricsByRelease: cpuByRelease, scriptsByRelease };
+
+            const lastRelease = releases[releases.length - 1];
+            const prevRelease = releases.length > 1 ? releases[releases.length - 2] : null;
+            coach = { byRelease: coachByRelease, changes: diffCoachAdvice(prevRelease && coachByRelease[prevRelease], coachByRelease[lastRelease]) };
+            // releases run before the HARs were summarized have no resource summary
+            if (releases.some(r => resourcesByRelease[r])) resources = resourcesByRelease;
+
+            const prevShots = prevRelease ? screenshotsByRelease[prevRelease] : null;
+            const lastShots = screenshotsByRelease[lastRelease];
+            if (releases.some(r => screenshotsByRelease[r] && Object.values(screenshotsByRelease[r].files).some(Boolean))) {
+                const diffs = Object.fromEntries(Object.keys(screenshotTypes).map(type => [type,
+                    prevShots?.files[type] && lastShots?.files[type] ? diffScreenshots(prevShots.files[type], lastShots.files[type]) : null]));
+                screenshots = { byRelease: screenshotsByRelease, diffs };
+            }
+
+            // marks and measures of the last release first, in the order they were recorded
+            const names = [...new Set([...releases].reverse().flatMap(r => Object.keys(timingsByRelease[r] || {})))];
+            if (names.length > 0) {
+                const units = Object.fromEntries(names.map(name => [name, 'ms']));
+                userTimings = { names, results: compareReleases(timingsByRelease, timingRunsByRelease, units, baseline).results, metricsByRelease: timingsByRelease };
+            }
+        }
+        return { section: name, alias, pageType: pageType || alias, page, results, metricsByRelease, distributionByRelease, scoreByRelease, breakdownByRelease, scoreBaselineByRelease, environmentByRelease, qualityByRelease, drift, cpu, coach, resources, userTimings, screenshots };
+    });
+
+    // runs are checked against what every release was tested with, not the current config
+    const expectedRuns = Object.fromEntries(releases.map(r => [r, releaseIterations(path.join(baseDir, r))]));
+    const dataQuality = checkDataQuality({ releases, allResults }, expectedRuns);
+
+    return { site, releases, releaseLabels, releaseMetadata: metadataByRelease, aggregate, baseline, allResults, dataQuality };
 }
 
-const outputFile = process.argv[2];
-const baseDir = process.argv[3];
-
-const releases = fs.readdirSync(baseDir)
-    .filter(f => f.startsWith('release-') && fs.statSync(path.join(baseDir, f)).isDirectory())
-    .sort((a, b) => parseInt(a.split('-')[1]) - parseInt(b.split('-')[1]));
-
-// Pages (same across releases)
-const sections = [
-    { name: 'GLOBAL Website Performance', page: '', file: 'data/browsertime.summary-total.json' },
-    { name: 'HOMEPAGE', page: 'https://www.home-appliances.philips/pl/pl/', file: 'pages/www_home-appliances_philips/HOMEPAGE/data/browsertime.pageSummary.json' },
-    { name: 'PLP', page: 'https://www.home-appliances.philips/pl/pl/home-life-products/coffee/philips-full-automatic-espresso/super-automatic-espresso-machines/c/SUPER_AUTOMATIC_ESPRESSO_SU', file: 'pages/www_home-appliances_philips/PLP/data/browsertime.pageSummary.json' },
-    { name: 'PDP', page: 'https://www.home-appliances.philips/pl/pl/p/EP5546_70', file: 'pages/www_home-appliances_philips/PDP/data/browsertime.pageSummary.json' },
-    { name: 'Category Page', page: 'https://www.home-appliances.philips/pl/pl/u/coffee-machines', file: 'pages/www_home-appliances_philips/Category_page/data/browsertime.pageSummary.json' },
-    { name: 'Subcategory Page', page: 'https://www.home-appliances.philips/pl/pl/u/coffee-machines/philips-full-automatic-espresso', file: 'pages/www_home-appliances_philips/Subcategory_page/data/browsertime.pageSummary.json' },
-    { name: 'Search Results Page', page: 'https://www.home-appliances.philips/pl/pl/search/coffee%20machine', file: 'pages/www_home-appliances_philips/Search_results_page/data/browsertime.pageSummary.json' },
-    { name: 'Pre Purchase Page', page: 'https://www.home-appliances.philips/pl/pl/u/coffee-machines/philips-full-automatic-espresso/lattego', file: 'pages/www_home-appliances_philips/Pre_purchase_page/data/browsertime.pageSummary.json' }
-];
-
-const allResults = [];
-
-sections.forEach(({ name, page, file }) => {
-    const metricsByRelease = {};
-    releases.forEach(r => {
-        const filePath = path.join(baseDir, r, file);
-        const json = loadJson(filePath);
-        metricsByRelease[r] = extractMetrics(json);
+// Same comparison from the metrics history of the site (lib/history.js) instead of the release folders.
+// The history keeps the Web Vitals, environment and data quality: no CPU, coach, HAR, screenshot or user timing sections.
+function buildHistoryComparison(site, { aggregate = 'median', baseline = null, from = null, to = null } = {}) {
+    const profile = scoreProfile(site.scoreProfile);
+    const records = readHistory(site);
+    const history = historyReleases(records);
+    const releases = releaseRange(history.releases, history.metadataByRelease, { from, to });
+    const metadataByRelease = Object.fromEntries(releases.map(r => [r, history.metadataByRelease[r]]));
+    const releaseLabels = Object.fromEntries(releases.map(r => [r, releaseLabel(r, metadataByRelease[r])]));
+
+    // GLOBAL first, then the sections of the site definition, then the other pages as they were recorded
+    const sections = new Map([['GLOBAL', { name: 'GLOBAL Website Performance', alias: 'GLOBAL', page: '', records: {} }]]);
+    site.sections.forEach(({ name, alias, url, pageType }) => {
+        sections.set(alias, { name: name || alias, alias, pageType, page: url || '', records: {} });
     });
-    const { results } = compareReleases(metricsByRelease);
-    allResults.push({ section: name, page, results, metricsByRelease });
-});
+    records.filter(r => releases.includes(r.release)).forEach(record => {
+        if (!sections.has(record.alias)) sections.set(record.alias, { name: record.section, alias: record.alias, page: '', records: {} });
+        sections.get(record.alias).records[record.release] = record;
+    });
+    // the link follows the latest release measuring the page
+    sections.forEach(section => {
+        const latest = [...releases].reverse().find(r => section.records[r]?.page);
+        if (latest) section.page = section.records[latest].page;
+    });
+
+    const allResults = [...sections.values()].map(({ name, alias, pageType, page, records: byRelease }) => {
+        const byReleaseOf = field => Object.fromEntries(releases.map(r => [r, byRelease[r]?.[field] ?? null]));
+        const metricsByRelease = Object.fromEntries(releases.map(r => [r, byRelease[r]?.aggregates[aggregate] ?? null]));
+        const runsByRelease = byReleaseOf('runs');
+        const environmentByRelease = byReleaseOf('environment');
+        const { results, breakdownByRelease, scoreByRelease, scoreBaselineByRelease, drift } = sectionScores(releases, { metricsByRelease, runsByRelease, environmentByRelease }, profile, baseline);
+        return {
+            section: name, alias, pageType: pageType || alias, page, results, metricsByRelease,
+            distributionByRelease: byReleaseOf('distribution'), scoreByRelease, breakdownByRelease, scoreBaselineByRelease,
+            environmentByRelease, qualityByRelease: byReleaseOf('quality'), drift,
+            cpu: null, coach: null, resources: null, userTimings: null, screenshots: null
+        };
+    });
+
+    const expectedRuns = Object.fromEntries(releases.map(r => [r, metadataByRelease[r]?.iterations ?? null]));
+    const dataQuality = checkDataQuality({ releases, allResults }, expectedRuns);
+
+    return { site, releases, releaseLabels, releaseMetadata: metadataByRelease, aggregate, baseline, allResults, dataQuality };
+}
+
+// Releases of a site and their metadata, from the release folders or from the metrics history
+function siteReleases(site, fromHistory = false) {
+    if (fromHistory) return historyReleases(readHistory(site));
+
+    const baseDir = siteDir(site);
+    const releases = listReleases(baseDir);
+    return { releases, metadataByRelease: releaseMetadata(baseDir, releases) };
+}
+
+// Validate the comparison options shared by the CLI and the report server (scripts/serve.js),
+// the baseline is looked up in the releases of the range
+function comparisonOptions(sites, { aggregate = 'median', baseline = null, from = null, to = null, history = false } = {}) {
+    sites.forEach(site => scoreProfile(site.scoreProfile));
+    if (!AGGREGATES.includes(aggregate)) throw new Error(`Unknown aggregate "${aggregate}", use one of ${AGGREGATES.join(', ')}.`);
+    if ((baseline || from || to) && sites.length > 1) throw new Error('A baseline or a release range (from, to) works on a single site.');
+    if (history) {
+        const empty = sites.filter(site => readHistory(site).length === 0);
+        if (empty.length > 0) throw new Error(`No metrics history for ${empty.map(s => s.name).join(', ')}, import it with: node scripts/import-history.js --site <site>`);
+    }
+
+    const { releases: allReleases, metadataByRelease } = siteReleases(sites[0], history);
+    const releases = releaseRange(allReleases, metadataByRelease, { from, to });
+    return { aggregate, baseline: parseBaseline(baseline, releases, metadataByRelease), from, to, history };
+}
+
+// Comparison of a site with the validated options, from the release folders or the metrics history
+function buildComparison(site, { history = false, ...options } = {}) {
+    return history ? buildHistoryComparison(site, options) : buildSiteComparison(site, options);
+}
+
+// ---- Main ----
+const usage = `Usage: node compare-results.js <output.html> <site> [options]
+       node compare-results.js <output.html> <site> <site> [...]   (cross-site report)
+
+Options:
+  --aggregate <name>    value compared per release: ${AGGREGATES.join(', ')} (default: median)
+  --baseline <ref>      also compare with a reference: a release (e.g. release-28), best (best release so far)
+                        or median:<N> (median of the last N releases)
+  --from <release>      first release of the report (folder name or label, default: the oldest)
+  --to <release>        last release of the report (default: the newest), e.g. to rebuild the report of a past release
+  --history             build the report from the metrics history (history/<site>.jsonl) instead of the release folders
+  --json <file>         export the comparison as JSON ("-" for stdout)
+  --csv <file>          export the comparison as CSV, one row per page, release and metric ("-" for stdout)
+  --md <file>           export a Markdown summary of the last release ("-" for stdout)
+  --check               check the last release against the site budgets, exit 1 when a budget is broken
+  --budgets <file>      budgets file (default: scripts/budgets/<site>.json)
+  --junit <file>        write the budget checks as JUnit XML
+  --budget-json <file>  write the budget checks as JSON
+  --strict              exit 1 when the last release has data quality issues (missing summaries, failed pages, run errors, missing runs)`;
+
+function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                aggregate: { type: 'string', default: 'median' },
+                baseline: { type: 'string' },
+                from: { type: 'string' },
+                to: { type: 'string' },
+                history: { type: 'boolean', default: false },
+                json: { type: 'string' },
+                csv: { type: 'string' },
+                md: { type: 'string' },
+                check: { type: 'boolean', default: false },
+                budgets: { type: 'string' },
+                junit: { type: 'string' },
+                'budget-json': { type: 'string' },
+                strict: { type: 'boolean', default: false }
+            }
+        });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        console.log(usage);
+        process.exit(1);
+    }
+
+    if (args.positionals.length < 2) {
+        console.log(usage);
+        process.exit(1);
+    }
+
+    const [outputFile, ...siteNames] = args.positionals;
+    const options = args.values;
+
+    // keep stdout clean for an export written to "-", progress messages go to stderr
+    if ([options.json, options.csv, options.md].includes('-')) console.log = console.error;
+    let sites, budgets, comparisonOpts;
+    try {
+        sites = siteNames.map(name => loadSite(name));
+        if ((options.check || options.strict) && sites.length > 1) throw new Error('--check and --strict work on a single site.');
+        if ((options.json || options.csv || options.md) && sites.length > 1) throw new Error('--json, --csv and --md work on a single site.');
+        if (options.check) budgets = loadBudgets(sites[0].name, options.budgets);
+        comparisonOpts = comparisonOptions(sites, options);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    if (sites.length > 1) {
+        generateCrossSiteHtml(sites.map(site => buildComparison(site, comparisonOpts)), outputFile);
+        return;
+    }
+
+    const comparison = buildComparison(sites[0], comparisonOpts);
+    const { site, releases, allResults, dataQuality } = comparison;
+    generateHtml(comparison, outputFile);
+
+    const lastRelease = releases[releases.length - 1];
+    if (dataQuality.length === 0) {
+        console.log(`✅ Data quality: no issues in ${releases.length} releases`);
+    } else {
+        console.warn(`⚠️ Data quality: ${dataQuality.length} issue(s)`);
+        dataQuality.forEach(({ release, section, type, message }) => console.warn(`   [${release}] ${section} - ${issueLabels[type]}: ${message}`));
+    }
+    const lastReleaseIssues = dataQuality.filter(issue => issue.release === lastRelease);
+    if (options.strict && lastReleaseIssues.length > 0) {
+        console.error(`❌ --strict: ${lastReleaseIssues.length} data quality issue(s) in ${lastRelease}`);
+        process.exitCode = 1;
+    }
+
+    if (options.json || options.csv || options.md) {
+        const exportData = buildExport(comparison);
+        if (options.json) writeJsonExport(exportData, options.json);
+        if (options.csv) writeCsvExport(exportData, options.csv);
+        if (options.md) writeMarkdownExport(exportData, options.md);
+    }
+
+    if (options.check) {
+        const budgetResult = checkBudgets(allResults, releases, budgets);
+
+        budgetResult.violations.forEach(v => console.error(`❌ [${v.section}] ${v.name}: ${v.message}`));
+        if (budgetResult.passed) {
+            console.log(`✅ All ${budgetResult.checks.length} budget checks passed for ${budgetResult.release}`);
+        } else {
+            console.error(`❌ ${budgetResult.violations.length} of ${budgetResult.checks.length} budget checks failed for ${budgetResult.release}`);
+        }
+
+        if (options.junit) writeJUnit(site.name, budgetResult, options.junit);
+        if (options['budget-json']) writeJson(site.name, budgetResult, options['budget-json']);
+
+        if (!budgetResult.passed) process.exitCode = 1;
+    }
+}
+
+if (require.main === module) main();
 
-generateHtml(allResults, releases, outputFile);
+module.exports = { comparisonOptions, buildSiteComparison, buildHistoryComparison, buildComparison, renderHtml, renderCrossSiteHtml };
@@ -0,0 +1,364 @@
+const fs = require('fs/promises');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+
+const fsS = require('fs');
+const path = require('path');
+const { loadSite, listSites } = require('./lib/sites');
+const { ROOT_DIR, RELEASE_METADATA_FILE, writeReleaseMetadata } = require('./lib/releases');
+const { writeResourceSummaries } = require('./lib/har');
+const { readUrls, writeUrls, findFailedPages, mergePages, rebuildSummaryTotal } = require('./lib/page-runs');
+const { expectedIterations } = require('./lib/data-quality');
+const { planRetention, applyRetention, printRetentionReport } = require('./lib/retention');
+const { buildExport } = require('./lib/exporters');
+const { buildSummary, sendNotifications } = require('./lib/notifications');
+const { historyFile, recordRelease } = require('./lib/history');
+const { buildSiteComparison } = require('./compare-results');
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT_MINUTES = 60;
+
+const usage = `Usage: node scripts/e2e-speed.js --site <site> <release-name> [options]
+
+Options:
+  --site <site>     site to test (${listSites().join(', ')})
+  --skip-run        do not run sitespeed.io, reuse the results already in <site>/<release-name>
+  --skip-cleanup    do not apply the retention policy (keeps HAR files and intermediate JSONs)
+  --report-only     only regenerate the comparison report and landing page
+  --dry-run         print the steps without executing them, and what the retention policy would remove
+  --retries <n>     re-runs of the pages that failed (default: ${DEFAULT_RETRIES})
+  --timeout <min>   minutes a sitespeed.io run may take before it is stopped (default: ${DEFAULT_TIMEOUT_MINUTES})
+  --notify          post the release summary to the webhooks of the site definition ("notifications"),
+                    with --dry-run the payloads are printed instead
+
+Release metadata (written to <site>/<release-name>/${RELEASE_METADATA_FILE}, kept when not given):
+  --label <label>   name shown in the reports and on the landing page, e.g. p1-release-29 (default: <release-name>)
+  --build <number>  build number of the tested release
+  --git-sha <sha>   commit of the tested release
+  --environment <name>  environment the release was tested on, e.g. production
+  --notes <text>    free text shown with the release
+
+Example: node scripts/e2e-speed.js --site homerun release-29`;
+
+// 1. Function to remove a directory
+async function removeDirectory(directoryPath) {
+    try {
+        console.log(`Attempting to remove directory: ${directoryPath}`);
+        await fs.rm(directoryPath, { recursive: true, force: true });
+        console.log(`Successfully removed directory: ${directoryPath}`);
+    } catch (err) {
+        console.error(`Error removing directory: ${err.message}`);
+        // Rethrow the error to stop the execution flow
+        throw err;
+    }
+}
+
+// 2. Function to execute a command (sitespeed.io, report scripts) from the repository root,
+// stopped after timeoutMs when given
+function executeCommand(command, args, { timeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+        console.log(`\nExecuting command: ${command} ${args.join(' ')}`);
+
+        const child = spawn(command, args, { stdio: 'inherit', cwd: ROOT_DIR });
+
+        let timedOut = false;
+        const timer = timeoutMs && setTimeout(() => {
+            timedOut = true;
+            console.error(`⏱️ ${command} did not finish within ${timeoutMs / 60000} minutes, stopping it`);
+            child.kill('SIGTERM');
+        }, timeoutMs);
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            console.log(`${command} process exited with code ${code}`);
+            if (code !== 0) {
+                // Reject the promise if the command fails, runFailed tells it ran but did not succeed
+                const err = new Error(timedOut ? `${command} timed out.` : `${command} command failed.`);
+                err.runFailed = true;
+                reject(err);
+            } else {
+                // Resolve the promise on success
+                resolve();
+            }
+        });
+
+        child.on('error', (err) => {
+            clearTimeout(timer);
+            console.log(err);
+            // Reject if an error occurs while spawning the process
+            reject(err);
+        });
+    });
+}
+
+// 3. Function to move a directory
+async function moveDirectory(sourcePath, destinationPath) {
+    try {
+        console.log(`\nMoving folder from ${sourcePath} to ${destinationPath}`);
+
+        // Ensure the destination directory exists
+        await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+
+        await fs.rename(sourcePath, destinationPath);
+        console.log('Folder moved successfully!');
+    } catch (err) {
+        console.error(`Error moving folder: ${err.message}`);
+        // Rethrow the error
+        throw err;
+    }
+}
+
+// 4. Run sitespeed.io for a URLs file. A failed or timed out run is only reported:
+// the page summaries it wrote tell which pages have to be re-run
+async function runSitespeed(site, urlsFile, outputFolder, timeoutMs) {
+    try {
+        await executeCommand('sitespeed.io', [urlsFile, '--config', site.sitespeedConfig, '--outputFolder', outputFolder], { timeoutMs });
+    } catch (err) {
+        if (!err.runFailed) throw err;
+        console.warn(`⚠️ ${err.message} Checking which pages failed.`);
+    }
+}
+
+// 5. Re-run the pages that failed in the output folder and merge the successful retries into it,
+// returns the pages that still fail
+async function retryFailedPages(site, outputFolder, { retries, timeoutMs }) {
+    const urls = readUrls(path.join(ROOT_DIR, site.urls));
+    let failed = findFailedPages(outputFolder, urls);
+    let mergedCount = 0;
+
+    for (let attempt = 1; attempt <= retries && failed.length > 0; attempt++) {
+        console.log(`\n🔁 Retry ${attempt}/${retries} of ${failed.length} failed page(s): ${failed.map(f => `${f.alias || f.url} (${f.reason})`).join(', ')}`);
+
+        const retryName = `${path.basename(outputFolder)}-retry-${attempt}`;
+        const retryFolder = path.join(ROOT_DIR, retryName);
+        const retryUrls = path.join(ROOT_DIR, `${retryName}.txt`);
+        try {
+            writeUrls(retryUrls, failed);
+            await removeDirectory(retryFolder);
+            await runSitespeed(site, retryUrls, retryName, timeoutMs);
+
+            const merged = mergePages(retryFolder, outputFolder, failed);
+            mergedCount += merged.length;
+            console.log(`Merged ${merged.length} of ${failed.length} page(s) into ${outputFolder}`);
+        } finally {
+            await fs.rm(retryUrls, { force: true });
+            await removeDirectory(retryFolder);
+        }
+
+        failed = findFailedPages(outputFolder, urls);
+    }
+
+    // the global summary of the first attempt still counts the failed pages
+    if (mergedCount > 0) {
+        rebuildSummaryTotal(outputFolder);
+        console.log(`Rebuilt the Web Vitals of browsertime.summary-total.json with the ${mergedCount} retried page(s)`);
+    }
+
+    return failed;
+}
+
+// 6. Replace the previous results of a release with the validated new ones.
+// The previous results are put aside first and restored when the move fails.
+async function replaceDirectory(sourcePath, destinationPath) {
+    const previousPath = path.join(ROOT_DIR, `${path.basename(destinationPath)}.previous`);
+    const hadPrevious = fsS.existsSync(destinationPath);
+
+    if (hadPrevious) {
+        await removeDirectory(previousPath);
+        await moveDirectory(destinationPath, previousPath);
+    }
+    try {
+        await moveDirectory(sourcePath, destinationPath);
+    } catch (err) {
+        if (hadPrevious) await moveDirectory(previousPath, destinationPath);
+        throw err;
+    }
+    if (hadPrevious) await removeDirectory(previousPath);
+}
+
+// 7. Append the metrics of the release to the history of the site, so the report can still show
+// the release once its folder is slimmed or removed
+function recordHistory(site, releaseName) {
+    const records = recordRelease(site, releaseName);
+    if (records.length === 0) {
+        console.warn(`⚠️ No Web Vitals found in ${releaseName}, nothing added to the history`);
+        return;
+    }
+    console.log(`✅ ${records.length} section(s) of ${releaseName} added to ${path.relative(ROOT_DIR, historyFile(site))}`);
+}
+
+// 8. Generate HTML report and landing page
+async function generateHTMLReport(site) {
+    await executeCommand('node', [path.join(__dirname, 'compare-results.js'), site.report, site.name]);
+    await executeCommand('node', [path.join(__dirname, 'generate-index.js')]);
+}
+
+// 9. Apply the retention policy of the site to its release folders
+function applyRetentionPolicy(site, dryRun) {
+    const plan = planRetention(site);
+    printRetentionReport(plan, { dryRun });
+    applyRetention(plan, { dryRun });
+}
+
+// 10. Post the summary of the release (score per page, score diff, top regressions, report link)
+// to the webhooks of the site. A failed webhook is reported, the run itself succeeded.
+async function notifyWebhooks(site, releaseName, dryRun) {
+    const releaseFolder = path.join(ROOT_DIR, site.folder, releaseName);
+    if (site.notifications.length === 0) {
+        console.warn(`⚠️ No notifications in the site definition of ${site.name}, nothing to send`);
+        return;
+    }
+    if (!fsS.existsSync(releaseFolder)) {
+        console.warn(`⚠️ No results in ${releaseFolder} yet, nothing to send`);
+        return;
+    }
+
+    const summary = buildSummary(buildExport(buildSiteComparison(site, { to: releaseName })), site, releaseName);
+    const results = await sendNotifications(site, summary, { dryRun });
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length > 0) console.warn(`⚠️ ${failed.length} of ${results.length} notification(s) failed`);
+}
+
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            site: { type: 'string' },
+            'skip-run': { type: 'boolean', default: false },
+            'skip-cleanup': { type: 'boolean', default: false },
+            'report-only': { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            retries: { type: 'string', default: `${DEFAULT_RETRIES}` },
+            timeout: { type: 'string', default: `${DEFAULT_TIMEOUT_MINUTES}` },
+            label: { type: 'string' },
+            build: { type: 'string' },
+            'git-sha': { type: 'string' },
+            environment: { type: 'string' },
+            notes: { type: 'string' },
+            notify: { type: 'boolean', default: false }
+        }
+    });
+
+    if (!values.site) throw new Error('Please provide a site with --site.');
+    if (positionals.length !== 1) throw new Error('Please provide exactly one release name, e.g. release-29.');
+
+    const retries = Number(values.retries);
+    const timeoutMinutes = Number(values.timeout);
+    if (!Number.isInteger(retries) || retries < 0) throw new Error(`Invalid --retries "${values.retries}", use a number of retries (0 for none).`);
+    if (!(timeoutMinutes > 0)) throw new Error(`Invalid --timeout "${values.timeout}", use a number of minutes.`);
+
+    const releaseName = positionals[0];
+    // the release name becomes a folder name, keep it to a single safe path segment
+    if (!/^[\w.-]+$/.test(releaseName) || releaseName.startsWith('.')) {
+        throw new Error(`Invalid release name "${releaseName}".`);
+    }
+
+    return {
+        site: loadSite(values.site),
+        releaseName,
+        skipRun: values['skip-run'] || values['report-only'],
+        skipCleanup: values['skip-cleanup'] || values['report-only'],
+        reportOnly: values['report-only'],
+        dryRun: values['dry-run'],
+        notify: values.notify,
+        retries,
+        timeoutMs: timeoutMinutes * 60 * 1000,
+        metadata: {
+            release: releaseName,
+            label: values.label,
+            build: values.build,
+            gitSha: values['git-sha'],
+            environment: values.environment,
+            notes: values.notes
+        }
+    };
+}
+
+// Main execution flow
+async function runWorkflow() {
+    let options;
+    try {
+        options = parseCliArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`❌ ${err.message}\n`);
+        console.log(usage);
+        process.exit(1);
+    }
+
+    const { site, releaseName, skipRun, skipCleanup, reportOnly, dryRun, notify, retries, timeoutMs, metadata } = options;
+    const sourceFolder = path.join(ROOT_DIR, releaseName);
+    const destinationFolder = path.join(ROOT_DIR, site.folder, releaseName);
+
+    // Run a workflow step, or only print it with --dry-run
+    const step = async (description, action) => {
+        console.log(`\n▶ ${description}${dryRun ? ' (dry run, skipped)' : ''}`);
+        if (!dryRun) await action();
+    };
+
+    try {
+        if (skipRun) {
+            if (!fsS.existsSync(destinationFolder)) {
+                throw new Error(`No results to reuse in ${destinationFolder}, run without --skip-run/--report-only first.`);
+            }
+        } else {
+            metadata.date = new Date().toISOString();
+            // the runs per page of this run, the data quality check of the release does not follow later config changes
+            metadata.iterations = expectedIterations(site);
+
+            // Step 1: Remove the old directory
+            await step(`Remove old output folder ${sourceFolder}`, () => removeDirectory(sourceFolder));
+
+            // Step 2: Execute the sitespeed.io command, the previous results of the release are not touched yet
+            await step(`Run sitespeed.io ${site.urls} --config ${site.sitespeedConfig} --outputFolder ${releaseName}`,
+                () => runSitespeed(site, site.urls, releaseName, timeoutMs));
+
+            // Step 3: re-run only the pages that failed (exit status, markedAsFailure or no page summary)
+            await step(`Re-run failed pages, up to ${retries} time(s)`, async () => {
+                const failed = await retryFailedPages(site, sourceFolder, { retries, timeoutMs });
+                if (failed.length > 0) {
+                    throw new Error(`${failed.length} page(s) still failing after ${retries} retries: ${failed.map(f => `${f.alias || f.url} (${f.reason})`).join(', ')}. `
+                        + `The previous results in ${destinationFolder} are untouched${fsS.existsSync(sourceFolder) ? `, the new ones are left in ${sourceFolder}` : ''}.`);
+                }
+            });
+
+            // Step 4: Replace the previous results with the validated new ones
+            await step(`Move results to ${destinationFolder}`, () => replaceDirectory(sourceFolder, destinationFolder));
+        }
+
+        // Step 5: record label, run date, build and notes of the release, a re-run keeps what is not given again
+        await step(`Write release metadata ${path.join(destinationFolder, RELEASE_METADATA_FILE)}`, () => writeReleaseMetadata(destinationFolder, metadata));
+
+        // Step 6: distil the HARs into resource summaries, the HARs are deleted by the cleanup
+        if (!reportOnly) {
+            await step(`Summarize HAR files in ${destinationFolder}`, () => writeResourceSummaries(destinationFolder, site));
+
+            // Step 7: keep the metrics of the release in the history, a re-run replaces the previous record
+            await step(`Record ${releaseName} in ${path.relative(ROOT_DIR, historyFile(site))}`, () => recordHistory(site, releaseName));
+        }
+
+        // Step 8: Generate the comparison report and landing page
+        await step(`Generate ${site.report} and index.html`, () => generateHTMLReport(site));
+
+        // Step 9: apply the retention policy, reported but not applied with --dry-run
+        if (!skipCleanup) {
+            console.log(`\n▶ Apply the retention policy of ${site.name}${dryRun ? ' (dry run, nothing is removed)' : ''}`);
+            applyRetentionPolicy(site, dryRun);
+        }
+
+        // Step 10: post the release summary to the webhooks, printed but not sent with --dry-run
+        if (notify) {
+            console.log(`\n▶ Notify the webhooks of ${site.name}${dryRun ? ' (dry run, nothing is sent)' : ''}`);
+            await notifyWebhooks(site, releaseName, dryRun);
+        }
+
+        console.log('\nWorkflow completed successfully!');
+
+    } catch (err) {
+        console.error(`\nWorkflow failed: ${err.message}`);
+        // Exit with an error code
+        process.exit(1);
+    }
+}
+
+runWorkflow();
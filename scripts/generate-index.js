@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, sortReleases, formatDate, allReleaseHistories } = require('./lib/releases');
+const { escapeHtml } = require('./lib/format');
+
+function generateIndexHtml(outputFile) {
+    const histories = allReleaseHistories();
+
+    // a release is ordered and labelled by the metadata of the first site that has it
+    const entries = new Map();
+    histories.forEach(h => h.releases.forEach(entry => {
+        if (!entries.get(entry.release)?.metadata) entries.set(entry.release, entry);
+    }));
+    const metadataByRelease = Object.fromEntries([...entries].map(([release, entry]) => [release, entry.metadata]));
+    const releases = sortReleases(entries.keys(), metadataByRelease).reverse();
+
+    const releaseBlocks = releases.map(release => {
+        // earliest run date of the release over all sites
+        const dates = histories
+            .map(h => h.releases.find(r => r.release === release)?.date)
+            .filter(Boolean)
+            .sort();
+
+        // a site that was not tested for this release gets a disabled link
+        const links = histories.map(({ site, releases: siteReleases }) => {
+            const entry = siteReleases.find(r => r.release === release);
+            return entry
+                ? `<a href="${entry.url}index.html" target="_blank">${site.title}</a>`
+                : `<span class="disabled">${site.title}</span>`;
+        }).join('\n          ');
+
+        return `
+    <div class="release">
+      <h2>${escapeHtml(entries.get(release).label)}${dates.length ? ` (${formatDate(dates[0])})` : ''}</h2>
+      <div class="links">
+          ${links}
+      </div>
+    </div>
+`;
+    }).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Release Performance Tests</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      background: #f9fafb;
+      color: #333;
+      margin: 0;
+      padding: 20px;
+      display: flex;
+      justify-content: center;
+    }
+    .container {
+      max-width: 800px;
+      width: 100%;
+    }
+    h1 {
+      text-align: center;
+      margin-bottom: 30px;
+    }
+    .release {
+      background: #fff;
+      padding: 20px;
+      margin-bottom: 20px;
+      border-radius: 12px;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.1);
+    }
+    .release h2 {
+      margin: 0 0 15px;
+      font-size: 1.2em;
+      color: #2563eb;
+    }
+    .links {
+      display: flex;
+      gap: 15px;
+    }
+    .links a, .links span {
+      text-decoration: none;
+      background: #2563eb;
+      color: white;
+      padding: 10px 15px;
+      border-radius: 8px;
+      transition: background 0.2s;
+    }
+    .links a:hover {
+      background: #1d4ed8;
+    }
+    /* Disabled state */
+    .links .disabled {
+      background: #9ca3af;
+      cursor: not-allowed;
+      pointer-events: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Production - WEB Performance Tests</h1>
+${releaseBlocks}
+  </div>
+</body>
+</html>
+`;
+
+    fs.writeFileSync(outputFile, html, 'utf8');
+    console.log(`✅ Landing page saved: ${outputFile}`);
+}
+
+// ---- Main ----
+const outputFile = process.argv[2] || path.join(ROOT_DIR, 'index.html');
+generateIndexHtml(outputFile);
@@ -0,0 +1,73 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadSite, listSites } = require('./lib/sites');
+const { ROOT_DIR, siteDir, listReleases } = require('./lib/releases');
+const { historyFile, releaseRecords, readHistory, compactHistory, recordRelease } = require('./lib/history');
+
+const usage = `Usage: node scripts/import-history.js --site <site> [options]
+
+Backfills the metrics history of a site (history/<site>.jsonl) from its release folders,
+including the older releases that only kept the sitespeed.io HTML (metrics.html).
+
+Options:
+  --site <site>          site to import (${listSites().join(', ')})
+  --release <release>    release folder to import, can be repeated (default: every release folder)
+  --force                import releases that are already in the history again, the new import replaces the old one
+  --compact              only rewrite the history with the latest import of every release (e.g. after merging
+                         history files by hand), nothing is imported
+  --dry-run              only list what would be imported`;
+
+// ---- Main ----
+let site, releases, force, compact, dryRun;
+try {
+    const { values } = parseArgs({
+        options: {
+            site: { type: 'string' },
+            release: { type: 'string', multiple: true },
+            force: { type: 'boolean', default: false },
+            compact: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+    if (!values.site) throw new Error('Please provide a site with --site.');
+    site = loadSite(values.site);
+    const siteReleases = listReleases(siteDir(site));
+    releases = values.release || siteReleases;
+    const unknown = releases.filter(r => !siteReleases.includes(r));
+    if (unknown.length > 0) throw new Error(`Unknown release(s) ${unknown.join(', ')}, use one of ${siteReleases.join(', ')}.`);
+    force = values.force;
+    compact = values.compact;
+    dryRun = values['dry-run'];
+} catch (e) {
+    console.error(`❌ ${e.message}\n`);
+    console.log(usage);
+    process.exit(1);
+}
+
+const file = path.relative(ROOT_DIR, historyFile(site));
+if (compact) {
+    const removed = compactHistory(site);
+    console.log(removed > 0 ? `✅ ${removed} line(s) of older imports removed from ${file}` : `✅ ${file} holds one import per release`);
+    process.exit(0);
+}
+
+const recorded = new Set(readHistory(site).map(r => r.release));
+let imported = 0;
+
+releases.forEach(release => {
+    if (recorded.has(release) && !force) {
+        console.log(`⏭️ ${release}: already in ${file}, use --force to import it again`);
+        return;
+    }
+
+    const records = dryRun ? releaseRecords(site, release) : recordRelease(site, release);
+    if (records.length === 0) {
+        console.warn(`⚠️ ${release}: no Web Vitals found, nothing imported`);
+        return;
+    }
+    const legacy = records.filter(r => r.source === 'metrics.html').length;
+    console.log(`${dryRun ? '🔎' : '✅'} ${release}: ${records.length} section(s)${legacy > 0 ? `, ${legacy} from metrics.html` : ''}`);
+    imported++;
+});
+
+console.log(`\n${dryRun ? `Dry run: ${imported} release(s) would be recorded in` : `${imported} release(s) recorded in`} ${file}`);
@@ -0,0 +1,50 @@
+const { median } = require('./stats');
+const { releaseLabel } = require('./releases');
+
+// Reference a release is compared with besides the release before it (--baseline):
+// - "<release>": a pinned release by folder name or label, e.g. release-28 or p1-release-28
+// - "best": per metric the best release before it (lowest value, highest score)
+// - "median:<N>": the median of the last N releases before it, with their runs pooled for the significance test
+
+function parseBaseline(spec, releases, metadataByRelease = {}) {
+    if (spec == null) return null;
+    if (spec === 'best') return { type: 'best', label: 'best so far' };
+
+    const rolling = /^median:(\d+)$/.exec(spec);
+    if (rolling) {
+        const count = parseInt(rolling[1], 10);
+        if (count < 1) throw new Error('The rolling baseline needs at least 1 release, e.g. --baseline median:3.');
+        return { type: 'rolling', count, label: `median of last ${count}` };
+    }
+
+    const release = releases.includes(spec) ? spec : releases.find(r => releaseLabel(r, metadataByRelease[r]) === spec);
+    if (!release) {
+        throw new Error(`Unknown baseline "${spec}", use a release (${releases.join(', ')}), best or median:<N>.`);
+    }
+    return { type: 'release', release, label: releaseLabel(release, metadataByRelease[release]) };
+}
+
+// Releases the baseline of a release is made of, from the value of one metric (or the score) per release
+function baselineReleases(baseline, releases, release, valuesByRelease, higherIsBetter = false) {
+    const measured = r => valuesByRelease[r] != null;
+
+    if (baseline.type === 'release') {
+        return release !== baseline.release && measured(baseline.release) ? [baseline.release] : [];
+    }
+
+    const previous = releases.slice(0, releases.indexOf(release)).filter(measured);
+    if (baseline.type === 'rolling') return previous.slice(-baseline.count);
+    if (previous.length === 0) return [];
+
+    const isBetter = (a, b) => higherIsBetter ? valuesByRelease[a] > valuesByRelease[b] : valuesByRelease[a] < valuesByRelease[b];
+    return [previous.reduce((best, r) => isBetter(r, best) ? r : best)];
+}
+
+// { value, releases } of the baseline of a release, null when there is nothing to compare with
+function baselineValue(baseline, releases, release, valuesByRelease, higherIsBetter = false) {
+    const refs = baselineReleases(baseline, releases, release, valuesByRelease, higherIsBetter);
+    if (refs.length === 0) return null;
+    return { value: median(refs.map(r => valuesByRelease[r])), releases: refs };
+}
+
+module.exports = { parseBaseline, baselineValue };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUDGETS_DIR = path.join(__dirname, '..', 'budgets');
+
+// Budgets file of a site: scripts/budgets/<site>.json unless another file is given
+function loadBudgets(siteName, filePath) {
+    const budgetsFile = filePath || path.join(BUDGETS_DIR, `${siteName}.json`);
+    if (!fs.existsSync(budgetsFile)) {
+        throw new Error(`Budgets file not found: ${budgetsFile}`);
+    }
+    return JSON.parse(fs.readFileSync(budgetsFile, 'utf8'));
+}
+
+// Section overrides are matched by display name or sitespeed.io alias
+function sectionBudget(budgets, section, alias) {
+    const overrides = budgets.sections?.[section] || budgets.sections?.[alias] || {};
+    return {
+        metrics: { ...budgets.metrics, ...overrides.metrics },
+        maxRegressionPct: { ...asPerMetric(budgets.maxRegressionPct), ...asPerMetric(overrides.maxRegressionPct) },
+        minScore: overrides.minScore ?? budgets.minScore ?? null
+    };
+}
+
+// "maxRegressionPct": 10 is shorthand for { "default": 10 }
+function asPerMetric(value) {
+    if (value == null) return {};
+    return typeof value === 'number' ? { default: value } : value;
+}
+
+function formatLimit(value, unit) {
+    return unit === 'ms' ? `${value} ms` : `${value}`;
+}
+
+// Check the last release of every section against the budgets.
+// Returns every check that was run, so passing checks can be reported too.
+function checkBudgets(allResults, releases, budgets) {
+    const release = releases[releases.length - 1];
+    const checks = [];
+
+    allResults.forEach(({ section, alias, results, scoreByRelease }) => {
+        const current = results[release];
+        if (!current || current.length === 0) {
+            // a page that dropped out of the run, or has budgets of its own, must not pass unmeasured.
+            // Pages that were never measured in the compared releases have nothing to check.
+            const measuredBefore = releases.slice(0, -1).some(r => results[r]?.length > 0);
+            const budgeted = Boolean(budgets.sections?.[section] || budgets.sections?.[alias]);
+            if (measuredBefore || budgeted) {
+                checks.push({
+                    section,
+                    name: 'Measured in the last release',
+                    passed: false,
+                    message: `${section} was not measured in ${release}`
+                });
+            }
+            return;
+        }
+
+        const budget = sectionBudget(budgets, section, alias);
+
+        current.forEach(({ metric, value, unit, pct, significance }) => {
+            const limit = budget.metrics[metric];
+            if (limit != null) {
+                checks.push({
+                    section,
+                    name: `${metric} <= ${formatLimit(limit, unit)}`,
+                    passed: value <= limit,
+                    message: `${metric} is ${formatLimit(Math.round(value * 1000) / 1000, unit)}, budget is ${formatLimit(limit, unit)}`
+                });
+            }
+
+            const maxPct = budget.maxRegressionPct[metric] ?? budget.maxRegressionPct.default;
+            if (maxPct != null && pct != null) {
+                // a regression within the run-to-run noise does not break the budget
+                const withinNoise = significance && ['noise', 'improvement'].includes(significance.verdict);
+                checks.push({
+                    section,
+                    name: `${metric} regression <= ${maxPct}%`,
+                    passed: pct <= maxPct || withinNoise,
+                    message: `${metric} changed by ${pct > 0 ? '+' : ''}${pct.toFixed(2)}% vs previous release, allowed is +${maxPct}%`
+                });
+            }
+        });
+
+        const score = scoreByRelease?.[release];
+        if (budget.minScore != null && score != null) {
+            checks.push({
+                section,
+                name: `Performance score >= ${budget.minScore}`,
+                passed: score >= budget.minScore,
+                message: `Performance score is ${score}, minimum is ${budget.minScore}`
+            });
+        }
+    });
+
+    return {
+        release,
+        passed: checks.every(c => c.passed),
+        checks,
+        violations: checks.filter(c => !c.passed)
+    };
+}
+
+function escapeXml(value) {
+    return `${value}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// One JUnit testsuite per section, one testcase per budget check
+function writeJUnit(siteName, result, outputFile) {
+    const suites = new Map();
+    result.checks.forEach(check => {
+        if (!suites.has(check.section)) suites.set(check.section, []);
+        suites.get(check.section).push(check);
+    });
+
+    const suitesXml = [...suites.entries()].map(([section, checks]) => {
+        const failures = checks.filter(c => !c.passed).length;
+        const cases = checks.map(c => {
+            const testcase = `    <testcase classname="${escapeXml(`${siteName}.${section}`)}" name="${escapeXml(c.name)}"`;
+            return c.passed
+                ? `${testcase}/>`
+                : `${testcase}>\n      <failure message="${escapeXml(c.message)}"/>\n    </testcase>`;
+        }).join('\n');
+
+        return `  <testsuite name="${escapeXml(`${siteName} ${result.release}: ${section}`)}" tests="${checks.length}" failures="${failures}">\n${cases}\n  </testsuite>`;
+    }).join('\n');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Performance budgets" tests="${result.checks.length}" failures="${result.violations.length}">
+${suitesXml}
+</testsuites>
+`;
+
+    fs.writeFileSync(outputFile, xml, 'utf8');
+    console.log(`✅ JUnit report saved: ${outputFile}`);
+}
+
+function writeJson(siteName, result, outputFile) {
+    fs.writeFileSync(outputFile, JSON.stringify({ site: siteName, ...result }, null, 2), 'utf8');
+    console.log(`✅ Budget results saved: ${outputFile}`);
+}
+
+module.exports = { loadBudgets, checkBudgets, writeJUnit, writeJson };
@@ -0,0 +1,59 @@
+// sitespeed.io coach advice of a page: category scores and the score of every advice,
+// compared between two releases to get a to-do list of advice that got worse.
+
+const coachCategories = {
+    score: 'Overall',
+    performance: 'Performance',
+    bestpractice: 'Best practice',
+    privacy: 'Privacy'
+};
+
+// Median of the runs for the category and advice scores, texts from a run with that score
+function extractCoach(json) {
+    const statistics = json?.statistics?.coach?.coachAdvice?.advice;
+    if (!statistics) return null;
+
+    const runs = (json.browserScripts || []).map(run => run?.coach?.coachAdvice?.advice).filter(Boolean);
+
+    const categories = Object.fromEntries(Object.keys(coachCategories)
+        .map(category => [category, statistics[category]?.score?.median ?? statistics[category]?.median ?? null]));
+
+    const advice = {};
+    Object.keys(coachCategories).forEach(category => {
+        Object.entries(statistics[category]?.adviceList || {}).forEach(([id, stat]) => {
+            const score = stat.score?.median;
+            if (score == null) return;
+
+            const details = runs.map(run => run[category]?.adviceList?.[id]).filter(Boolean);
+            const detail = details.find(d => d.score === score) || details[0] || {};
+            advice[id] = {
+                category,
+                score,
+                title: detail.title || id,
+                advice: detail.advice || ''
+            };
+        });
+    });
+
+    return { categories, advice };
+}
+
+// Advice whose score changed between two releases, regressions first.
+// status: 'new-failure' (was 100) | 'worse' | 'fixed' (now 100) | 'better'
+function diffCoachAdvice(prevCoach, coach) {
+    if (!prevCoach || !coach) return [];
+
+    const statusOrder = ['new-failure', 'worse', 'fixed', 'better'];
+    return Object.entries(coach.advice)
+        .filter(([id, { score }]) => prevCoach.advice[id] && prevCoach.advice[id].score !== score)
+        .map(([id, item]) => {
+            const prevScore = prevCoach.advice[id].score;
+            let status;
+            if (item.score < prevScore) status = prevScore === 100 ? 'new-failure' : 'worse';
+            else status = item.score === 100 ? 'fixed' : 'better';
+            return { id, ...item, prevScore, status };
+        })
+        .sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || (a.score - a.prevScore) - (b.score - b.prevScore));
+}
+
+module.exports = { coachCategories, extractCoach, diffCoachAdvice };
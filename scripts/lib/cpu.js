@@ -0,0 +1,97 @@
+const { quantile } = require('./stats');
+
+// Main-thread CPU of a page: long tasks (cpu[].longTasks, pageinfo.longTask) and
+// Long Animation Frames (pageinfo.loaf) of every run, with the scripts the LoAFs are attributed to.
+
+const cpuMetricUnits = {
+    'Long tasks': 'count',
+    'Long task total': 'ms',
+    'Longest task': 'ms',
+    'LoAF blocking': 'ms',
+    'Longest LoAF': 'ms'
+};
+
+const aggregateQuantiles = { median: 0.5, p75: 0.75, p90: 0.9 };
+
+function aggregateRuns(values, aggregate) {
+    const measured = (values || []).filter(v => v != null);
+    if (measured.length === 0) return null;
+    if (aggregate === 'mean') return measured.reduce((sum, v) => sum + v, 0) / measured.length;
+    return quantile(measured, aggregateQuantiles[aggregate] ?? 0.5);
+}
+
+function sum(values) {
+    return values.reduce((total, v) => total + (v || 0), 0);
+}
+
+function maxOf(values) {
+    return values.length === 0 ? 0 : Math.max(...values.map(v => v || 0));
+}
+
+// Per-run CPU values, null when the summary has no per-run browser scripts (summary-total).
+// browsertime keeps the 10 longest animation frames of a run, so LoAF values cover those frames only.
+function extractCpuRuns(json) {
+    const runs = Array.isArray(json?.browserScripts) ? json.browserScripts : [];
+    if (runs.length === 0) return null;
+
+    const perRun = runs.map((run, idx) => {
+        const longTasks = run?.pageinfo?.longTask || [];
+        const loafs = run?.pageinfo?.loaf || [];
+        const cpu = json.cpu?.[idx]?.longTasks;
+        return {
+            'Long tasks': cpu?.tasks ?? longTasks.length,
+            'Long task total': cpu?.totalDuration ?? sum(longTasks.map(t => t.duration)),
+            'Longest task': maxOf(longTasks.map(t => t.duration)),
+            'LoAF blocking': sum(loafs.map(l => l.blockingDuration)),
+            'Longest LoAF': maxOf(loafs.map(l => l.duration))
+        };
+    });
+
+    return Object.fromEntries(Object.keys(cpuMetricUnits).map(metric => [metric, perRun.map(run => run[metric])]));
+}
+
+function extractCpuMetrics(runs, aggregate = 'median') {
+    if (!runs) return null;
+    return Object.fromEntries(Object.keys(cpuMetricUnits).map(metric => [metric, aggregateRuns(runs[metric], aggregate)]));
+}
+
+// Build hashes change with every release (main-PHBCTZXH.js, vendors-….6cd780e157651b899612.js, gtag ...&gtm=4e5a11):
+// replace them and keep only the id of the query so the same script can be compared between releases
+function scriptKey(url) {
+    const key = url
+        .replace(/-[A-Z0-9]{8}\.js\b/, '-*.js')
+        .replace(/\b[a-f0-9]{16,}\b/g, '*');
+    const [base, query] = key.split('?');
+    const id = query && new URLSearchParams(query).get('id');
+    return id ? `${base}?id=${id}` : base;
+}
+
+// LoAF blocking time per script URL, averaged over the runs.
+// A frame's blocking time is split evenly between the distinct scripts attributed to it.
+function extractLoafScripts(json) {
+    const runs = Array.isArray(json?.browserScripts) ? json.browserScripts : [];
+    if (runs.length === 0) return null;
+
+    const blockingByScript = {};
+    runs.forEach(run => {
+        (run?.pageinfo?.loaf || []).forEach(loaf => {
+            const urls = [...new Set((loaf.scripts || []).map(s => s.sourceURL || s.invoker).filter(Boolean).map(scriptKey))];
+            urls.forEach(url => {
+                blockingByScript[url] = (blockingByScript[url] || 0) + (loaf.blockingDuration || 0) / urls.length;
+            });
+        });
+    });
+
+    return Object.fromEntries(Object.entries(blockingByScript).map(([url, total]) => [url, total / runs.length]));
+}
+
+// Top scripts of the last release by LoAF blocking time, with their value in the previous release
+function topLoafScripts(scripts, prevScripts, limit = 5) {
+    if (!scripts) return [];
+    return Object.entries(scripts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([url, blocking]) => ({ url, blocking, prevBlocking: prevScripts ? prevScripts[url] ?? 0 : null }));
+}
+
+module.exports = { cpuMetricUnits, extractCpuRuns, extractCpuMetrics, extractLoafScripts, topLoafScripts };
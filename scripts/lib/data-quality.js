@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJson } = require('./sitespeed');
+const { ROOT_DIR, loadReleaseMetadata } = require('./releases');
+
+// Data quality of the sitespeed.io output: missing or unreadable summaries, failed pages,
+// iterations with errors and pages with fewer runs than their release was tested with.
+
+const issueLabels = {
+    missing: 'Missing summary',
+    unreadable: 'Unreadable summary',
+    failed: 'Failed page',
+    errors: 'Iteration errors',
+    runs: 'Missing runs'
+};
+
+// Number of runs per page configured for sitespeed.io, null when the config has none
+function expectedIterations(site) {
+    const config = loadJson(path.join(ROOT_DIR, site.sitespeedConfig));
+    return config.browsertime?.iterations ?? null;
+}
+
+// Number of runs per page a release was tested with: the "iterations" of its release.json (written by the
+// runner from the config of the run), else the "Number of runs" of its sitespeed.io settings.html, null when
+// neither is there. The config of the site may have changed since.
+function releaseIterations(releaseDir) {
+    const iterations = loadReleaseMetadata(releaseDir)?.iterations;
+    if (iterations != null) return iterations;
+
+    const settingsFile = path.join(releaseDir, 'settings.html');
+    if (!fs.existsSync(settingsFile)) return null;
+    const match = fs.readFileSync(settingsFile, 'utf8').match(/Number of runs\s*<\/[^>]+>\s*<[^>]+>\s*(\d+)/);
+    return match ? Number(match[1]) : null;
+}
+
+// Quality facts of one loaded summary JSON (page summary or summary-total)
+function summaryQuality(json) {
+    if (!json || Object.keys(json).length === 0) return { readable: false };
+
+    const errors = (json.errors || [])
+        .map((messages, idx) => ({ iteration: idx + 1, messages: [].concat(messages || []) }))
+        .filter(({ messages }) => messages.length > 0);
+
+    return {
+        readable: true,
+        markedAsFailure: Boolean(json.markedAsFailure),
+        failureMessages: [].concat(json.failureMessages || []),
+        errors,
+        runs: Array.isArray(json.timestamps) ? json.timestamps.length : null
+    };
+}
+
+// List the issues of every section and release: [{ release, section, type, message }],
+// expectedRunsByRelease: { "release-29": 10, ... } (null when unknown, the runs are then not checked)
+function checkDataQuality({ releases, allResults }, expectedRunsByRelease = {}) {
+    const issues = [];
+
+    allResults.forEach(({ section, alias, qualityByRelease }) => {
+        const firstMeasured = releases.findIndex(r => qualityByRelease[r]);
+
+        releases.forEach((release, idx) => {
+            const quality = qualityByRelease[release];
+            const add = (type, message) => issues.push({ release, section, type, message });
+
+            if (!quality) {
+                // a page that was only added later is not missing in the older releases
+                if (alias === 'GLOBAL') add('missing', 'no browsertime.summary-total.json in the release');
+                else if (firstMeasured !== -1 && idx > firstMeasured) add('missing', 'no browsertime.pageSummary.json, the page was not measured');
+                return;
+            }
+            if (!quality.readable) {
+                add('unreadable', 'the summary JSON could not be read');
+                return;
+            }
+
+            if (quality.markedAsFailure || quality.failureMessages.length > 0) {
+                add('failed', quality.failureMessages.length > 0 ? quality.failureMessages.join('; ') : 'marked as failure by sitespeed.io');
+            }
+            if (quality.errors.length > 0) {
+                const details = quality.errors.map(({ iteration, messages }) => `run ${iteration}: ${messages.join(', ')}`);
+                add('errors', `${quality.errors.length} run(s) with errors (${details.join('; ')})`);
+            }
+            const expectedRuns = expectedRunsByRelease[release];
+            if (alias !== 'GLOBAL' && expectedRuns && quality.runs != null && quality.runs < expectedRuns) {
+                add('runs', `${quality.runs} of ${expectedRuns} runs`);
+            }
+        });
+    });
+
+    return issues;
+}
+
+module.exports = { issueLabels, expectedIterations, releaseIterations, summaryQuality, checkDataQuality };
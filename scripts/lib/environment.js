@@ -0,0 +1,57 @@
+// Test environment recorded by browsertime in every page summary.
+// Releases measured with a different browser, throttling or number of runs are not comparable.
+
+const environmentLabels = {
+    browser: 'Browser',
+    browsertime: 'browsertime',
+    connectivity: 'Network',
+    viewport: 'Viewport',
+    iterations: 'Tests/page'
+};
+
+function extractEnvironment(json) {
+    const info = json?.info;
+    if (!info) return null;
+
+    const { connectivity = {}, browser = {} } = info;
+    const settings = connectivity.settings
+        ? ` (↓${connectivity.settings.down} / ↑${connectivity.settings.up} kbit/s, rtt ${connectivity.settings.rtt} ms)`
+        : '';
+
+    return {
+        browser: [browser.name, browser.version].filter(Boolean).join(' ') || null,
+        browsertime: info.browsertime?.version || null,
+        connectivity: connectivity.profile ? `${connectivity.profile}${settings}` : null,
+        viewport: json.browserScripts?.[0]?.browser?.windowSize || null,
+        iterations: json.timestamps?.length || null
+    };
+}
+
+// Environment of several pages of one release (e.g. the global section),
+// differing values are listed together so they show up as drift
+function mergeEnvironments(environments) {
+    const measured = environments.filter(Boolean);
+    if (measured.length === 0) return null;
+
+    return Object.fromEntries(Object.keys(environmentLabels).map(field => {
+        const values = [...new Set(measured.map(env => env[field]).filter(v => v != null))];
+        return [field, values.length === 0 ? null : values.join(' / ')];
+    }));
+}
+
+// Fields whose value changes between the measured releases: [{ field, label, groups: [{ value, releases }] }]
+function environmentDrift(releases, environmentByRelease) {
+    return Object.entries(environmentLabels).flatMap(([field, label]) => {
+        const groups = [];
+        releases.forEach(release => {
+            const value = environmentByRelease[release]?.[field];
+            if (value == null) return;
+            const group = groups.find(g => g.value === value);
+            if (group) group.releases.push(release);
+            else groups.push({ value, releases: [release] });
+        });
+        return groups.length > 1 ? [{ field, label, groups }] : [];
+    });
+}
+
+module.exports = { environmentLabels, extractEnvironment, mergeEnvironments, environmentDrift };
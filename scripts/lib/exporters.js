@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { formatValue } = require('./format');
+
+// Machine-readable exports of a site comparison (JSON, CSV, Markdown).
+// "-" as output file writes to stdout, e.g. to pipe the Markdown into a PR comment.
+
+function writeOutput(content, outputFile, label) {
+    if (outputFile === '-') {
+        process.stdout.write(content);
+        return;
+    }
+    fs.writeFileSync(outputFile, content, 'utf8');
+    console.log(`✅ ${label} saved: ${outputFile}`);
+}
+
+// Plain data of the comparison: per section, per release values, diffs, pct, score and score diff
+function buildExport({ site, releases, releaseLabels, aggregate, baseline, allResults }) {
+    return {
+        site: site.name,
+        title: site.title,
+        aggregate,
+        baseline: baseline?.label ?? null,
+        releases,
+        releaseLabels,
+        sections: allResults.map(({ section, alias, page, results, metricsByRelease, scoreByRelease, scoreBaselineByRelease }) => ({
+            section,
+            alias,
+            page,
+            releases: Object.fromEntries(releases.map((release, idx) => {
+                if (!metricsByRelease[release]) return [release, { measured: false }];
+
+                const score = scoreByRelease[release];
+                const prevScore = idx > 0 ? scoreByRelease[releases[idx - 1]] : null;
+                return [release, {
+                    measured: true,
+                    score,
+                    scoreDiff: score != null && prevScore != null ? score - prevScore : null,
+                    scoreBaseline: scoreBaselineByRelease?.[release]?.value ?? null,
+                    metrics: Object.fromEntries(results[release].map(({ metric, value, unit, diff, pct, significance, baseline: vsBaseline }) => [metric, {
+                        value,
+                        unit,
+                        diff,
+                        pct,
+                        significance: significance?.verdict ?? null,
+                        pValue: significance?.pValue ?? null,
+                        ...(vsBaseline && {
+                            baseline: {
+                                releases: vsBaseline.releases,
+                                value: vsBaseline.value,
+                                diff: vsBaseline.diff,
+                                pct: vsBaseline.pct,
+                                significance: vsBaseline.significance?.verdict ?? null
+                            }
+                        })
+                    }]))
+                }];
+            }))
+        }))
+    };
+}
+
+function writeJsonExport(data, outputFile) {
+    writeOutput(`${JSON.stringify(data, null, 2)}\n`, outputFile, 'JSON export');
+}
+
+function csvValue(value) {
+    if (value == null) return '';
+    const text = `${value}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per section, release and metric
+function writeCsvExport(data, outputFile) {
+    const header = ['site', 'section', 'alias', 'release', 'metric', 'value', 'unit', 'diff', 'pct', 'significance', 'score', 'scoreDiff', 'baselineValue', 'baselineDiff', 'baselinePct', 'baselineSignificance'];
+    const rows = data.sections.flatMap(({ section, alias, releases }) =>
+        Object.entries(releases)
+            .filter(([, entry]) => entry.measured)
+            .flatMap(([release, entry]) => Object.entries(entry.metrics).map(([metric, m]) => [
+                data.site, section, alias, release, metric, m.value, m.unit, m.diff, m.pct, m.significance, entry.score, entry.scoreDiff,
+                m.baseline?.value, m.baseline?.diff, m.baseline?.pct, m.baseline?.significance
+            ])));
+
+    const csv = [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+    writeOutput(`${csv}\n`, outputFile, 'CSV export');
+}
+
+const significanceMarkers = { regression: ' 🔴', improvement: ' 🟢' };
+
+// Compact summary of the last release vs the previous one, for a pull request or release ticket
+function writeMarkdownExport(data, outputFile) {
+    const release = data.releases[data.releases.length - 1];
+    const prevRelease = data.releases.length > 1 ? data.releases[data.releases.length - 2] : null;
+    const metrics = Object.keys(data.sections.find(s => s.releases[release]?.measured)?.releases[release].metrics || {});
+
+    const lines = [
+        `### ${data.title} ${data.releaseLabels[release]}${prevRelease ? ` vs ${data.releaseLabels[prevRelease]}` : ''} (${data.aggregate}${data.baseline ? `, baseline: ${data.baseline}` : ''})`,
+        '',
+        `| Page | Score | Δ Score | ${metrics.join(' | ')} |`,
+        `|---|---:|---:|${metrics.map(() => '---:').join('|')}|`
+    ];
+
+    data.sections.forEach(({ section, releases }) => {
+        const entry = releases[release];
+        if (!entry?.measured) {
+            lines.push(`| ${section} | not measured | | ${metrics.map(() => '').join(' | ')} |`);
+            return;
+        }
+
+        const scoreDiff = entry.scoreDiff == null ? '-' : `${entry.scoreDiff > 0 ? '+' : ''}${entry.scoreDiff}`;
+        const cells = metrics.map(metric => {
+            const m = entry.metrics[metric];
+            if (!m) return '-';
+            const pct = m.pct == null ? '' : ` (${m.pct > 0 ? '+' : ''}${m.pct.toFixed(1)}%)`;
+            const baselinePct = m.baseline?.pct == null ? '' : ` [${m.baseline.pct > 0 ? '+' : ''}${m.baseline.pct.toFixed(1)}% vs baseline${significanceMarkers[m.baseline.significance] || ''}]`;
+            return `${formatValue(m.value, m.unit)}${pct}${significanceMarkers[m.significance] || ''}${baselinePct}`;
+        });
+        lines.push(`| ${section} | ${entry.score ?? '-'} | ${scoreDiff} | ${cells.join(' | ')} |`);
+    });
+
+    lines.push('', '🔴 significant regression · 🟢 significant improvement · unmarked changes are within run-to-run noise');
+    writeOutput(`${lines.join('\n')}\n`, outputFile, 'Markdown summary');
+}
+
+module.exports = { buildExport, writeJsonExport, writeCsvExport, writeMarkdownExport };
@@ -0,0 +1,16 @@
+// Values as shown in the HTML report, the Markdown and CSV exports and the notifications
+
+// 1234.5 ms -> "1235 ms", 2.345 count -> "2.3", 0.0412 (e.g. CLS) -> "0.041", null -> "-"
+function formatValue(value, unit) {
+    if (value == null) return '-';
+    if (unit === 'ms') return `${Math.round(value)} ms`;
+    if (unit === 'count') return `${+value.toFixed(1)}`;
+    return value.toFixed(3);
+}
+
+// Text inserted into HTML, as element content or attribute value (labels, notes, coach advice...)
+function escapeHtml(text) {
+    return `${text}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { formatValue, escapeHtml };
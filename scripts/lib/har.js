@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { median } = require('./stats');
+
+// Compact resource summary of the HAR of a page, written next to its page summary so it
+// survives the cleanup of the HAR files: requests and transfer bytes by content type and by
+// first/third-party domain, the largest requests and the cache hit ratio (median of the runs).
+
+const RESOURCE_SUMMARY_FILE = 'resources.summary.json';
+const LARGEST_REQUESTS = 10;
+
+const contentTypes = ['html', 'css', 'javascript', 'image', 'font', 'json', 'other'];
+
+function contentType(mimeType = '') {
+    const type = mimeType.toLowerCase();
+    if (type.includes('html')) return 'html';
+    if (type.includes('css')) return 'css';
+    if (type.includes('javascript') || type.includes('ecmascript')) return 'javascript';
+    if (type.startsWith('image/')) return 'image';
+    if (type.includes('font')) return 'font';
+    if (type.includes('json')) return 'json';
+    return 'other';
+}
+
+// Public suffixes of more than one label, so that shop.example.co.uk is under example.co.uk and not co.uk.
+// A short list of the common ones, not the full Public Suffix List: hosts under another multi-label suffix
+// still fall back to their last two labels, firstPartyDomains of the site definition fixes those.
+const MULTI_LABEL_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.nz', 'co.za', 'co.in',
+    'co.il', 'co.id', 'co.th', 'com.au', 'net.au', 'org.au', 'com.br', 'com.cn', 'com.mx', 'com.ar', 'com.tr',
+    'com.sg', 'com.my', 'com.hk', 'com.tw', 'com.pl', 'net.pl', 'org.pl', 'com.ua', 'com.co', 'com.pe'
+]);
+
+// Registrable part of a host name (www.baristina.com -> baristina.com, shop.example.co.uk -> example.co.uk)
+function baseDomain(hostname) {
+    const labels = hostname.split('.');
+    const suffixLabels = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-suffixLabels).join('.');
+}
+
+// The host is one of the first-party domains or below one of them (cdn.baristina.com under baristina.com)
+function isFirstParty(hostname, firstPartyDomains) {
+    return firstPartyDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+function transferBytes(response = {}) {
+    if (response._transferSize != null && response._transferSize >= 0) return response._transferSize;
+    if (response.bodySize >= 0) return response.bodySize + Math.max(response.headersSize || 0, 0);
+    return response.content?.size || 0;
+}
+
+// Value of a header of a HAR request or response, by case-insensitive name
+const header = (message, name) => (message?.headers || []).find(h => h.name.toLowerCase() === name)?.value;
+
+// CDN headers telling whether the response came from the CDN cache, e.g. "HIT", "Hit from cloudfront", "TCP_MEM_HIT"
+const CDN_CACHE_HEADERS = ['x-cache', 'cf-cache-status', 'x-vercel-cache', 'x-cache-status', 'cdn-cache'];
+
+// Served from the browser cache (Chrome marks those with _fromCache, or they have no transfer at all), revalidated
+// without a body (304 to a request with If-None-Match / If-Modified-Since), or a hit of the CDN cache. An "Age"
+// header alone is not counted: proxies set it on misses too. Heuristic: CDNs that do not send one of these
+// headers are not seen, and the first value of a multi-layer "x-cache: MISS, HIT" decides.
+function isCacheHit(entry) {
+    const { request, response = {} } = entry;
+    if (response._fromCache) return true;
+    if (response._transferSize === 0 && response.content?.size > 0) return true;
+    if (response.status === 304) return Boolean(header(request, 'if-none-match') || header(request, 'if-modified-since'));
+
+    const cdnStatus = CDN_CACHE_HEADERS.map(name => header(response, name)).find(Boolean);
+    return Boolean(cdnStatus && /hit/i.test(cdnStatus.split(',')[0]));
+}
+
+function readHar(file) {
+    const content = fs.readFileSync(file);
+    return JSON.parse(file.endsWith('.gz') ? zlib.gunzipSync(content) : content);
+}
+
+function summarizeRun(entries, firstPartyDomains) {
+    const byContentType = Object.fromEntries(contentTypes.map(type => [type, { requests: 0, transferBytes: 0 }]));
+    const byParty = { firstParty: { requests: 0, transferBytes: 0 }, thirdParty: { requests: 0, transferBytes: 0 } };
+    const byDomain = {};
+    let cacheHits = 0;
+
+    const requests = entries.map(entry => {
+        const url = entry.request?.url || '';
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname;
+        } catch (e) {
+            // data: URLs and other entries without a host count as first party
+        }
+        const party = !hostname || isFirstParty(hostname, firstPartyDomains) ? 'firstParty' : 'thirdParty';
+        const type = contentType(entry.response?.content?.mimeType);
+        const bytes = transferBytes(entry.response);
+
+        byContentType[type].requests++;
+        byContentType[type].transferBytes += bytes;
+        byParty[party].requests++;
+        byParty[party].transferBytes += bytes;
+        if (hostname) {
+            byDomain[hostname] = byDomain[hostname] || { party, requests: 0, transferBytes: 0 };
+            byDomain[hostname].requests++;
+            byDomain[hostname].transferBytes += bytes;
+        }
+        if (isCacheHit(entry)) cacheHits++;
+
+        return { url, contentType: type, transferBytes: bytes };
+    });
+
+    return {
+        requests: requests.length,
+        transferBytes: requests.reduce((sum, r) => sum + r.transferBytes, 0),
+        byContentType,
+        byParty,
+        byDomain,
+        cacheHitRatio: requests.length === 0 ? null : cacheHits / requests.length,
+        largestRequests: [...requests].sort((a, b) => b.transferBytes - a.transferBytes).slice(0, LARGEST_REQUESTS)
+    };
+}
+
+// Median over the runs of every number of the run summaries (same shape as one run)
+function medianOfRuns(runs, pick) {
+    return median(runs.map(pick).filter(v => v != null));
+}
+
+function summarizeHar(har, { url, firstPartyDomains } = {}) {
+    const entries = har.log?.entries || [];
+    const pages = har.log?.pages || [];
+    const pageUrl = url || pages[0]?._url || pages[0]?.title || entries[0]?.request?.url || '';
+
+    let domains = firstPartyDomains;
+    if (!domains || domains.length === 0) {
+        try {
+            domains = [baseDomain(new URL(pageUrl).hostname)];
+        } catch (e) {
+            domains = [];
+        }
+    }
+
+    // one HAR page per run, entries without pageref belong to a single run
+    const runEntries = pages.length > 0
+        ? pages.map(page => entries.filter(entry => entry.pageref === page.id))
+        : [entries];
+    const runs = runEntries.map(e => summarizeRun(e, domains));
+
+    const domainNames = [...new Set(runs.flatMap(run => Object.keys(run.byDomain)))];
+    const medianTransfer = medianOfRuns(runs, run => run.transferBytes);
+    // the largest requests of the run closest to the median transfer size
+    const typicalRun = runs.reduce((best, run) =>
+        Math.abs(run.transferBytes - medianTransfer) < Math.abs(best.transferBytes - medianTransfer) ? run : best, runs[0]);
+
+    return {
+        url: pageUrl,
+        firstPartyDomains: domains,
+        runs: runs.length,
+        requests: medianOfRuns(runs, run => run.requests),
+        transferBytes: medianTransfer,
+        cacheHitRatio: medianOfRuns(runs, run => run.cacheHitRatio),
+        byContentType: Object.fromEntries(contentTypes.map(type => [type, {
+            requests: medianOfRuns(runs, run => run.byContentType[type].requests),
+            transferBytes: medianOfRuns(runs, run => run.byContentType[type].transferBytes)
+        }])),
+        byParty: Object.fromEntries(['firstParty', 'thirdParty'].map(party => [party, {
+            requests: medianOfRuns(runs, run => run.byParty[party].requests),
+            transferBytes: medianOfRuns(runs, run => run.byParty[party].transferBytes)
+        }])),
+        byDomain: Object.fromEntries(domainNames.map(domain => {
+            const measured = runs.filter(run => run.byDomain[domain]);
+            return [domain, {
+                party: measured[0].byDomain[domain].party,
+                requests: medianOfRuns(measured, run => run.byDomain[domain].requests),
+                transferBytes: medianOfRuns(measured, run => run.byDomain[domain].transferBytes)
+            }];
+        })),
+        largestRequests: typicalRun ? typicalRun.largestRequests : []
+    };
+}
+
+// Find every HAR below a release folder
+function findHars(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findHars(fullPath);
+        return /\.har(\.gz)?$/.test(entry.name) ? [fullPath] : [];
+    });
+}
+
+// Write a resource summary next to every HAR of the release pages, returns the written files
+function writeResourceSummaries(releaseDir, { firstPartyDomains } = {}) {
+    return findHars(path.join(releaseDir, 'pages')).flatMap(harFile => {
+        try {
+            const summary = summarizeHar(readHar(harFile), { firstPartyDomains });
+            const outputFile = path.join(path.dirname(harFile), RESOURCE_SUMMARY_FILE);
+            fs.writeFileSync(outputFile, `${JSON.stringify(summary, null, 2)}\n`, 'utf8');
+            console.log(`✅ Resource summary saved: ${outputFile}`);
+            return [outputFile];
+        } catch (e) {
+            console.error(`❌ Could not summarize ${harFile}:`, e.message);
+            return [];
+        }
+    });
+}
+
+// Resource summary stored next to a page summary, null when the HAR was not summarized
+function loadResourceSummary(pageSummaryFile) {
+    const file = path.join(path.dirname(pageSummaryFile), RESOURCE_SUMMARY_FILE);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.error(`❌ Could not load ${file}:`, e.message);
+        return null;
+    }
+}
+
+module.exports = { RESOURCE_SUMMARY_FILE, contentTypes, baseDomain, summarizeHar, writeResourceSummaries, loadResourceSummary };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, siteDir, loadReleaseMetadata, sortReleases } = require('./releases');
+const { loadJson, findPageSummaries } = require('./sitespeed');
+const { AGGREGATES, extractMetrics, extractDistribution, extractRuns, poolRuns, pooledSummary } = require('./web-vitals');
+const { extractEnvironment, mergeEnvironments } = require('./environment');
+const { releaseIterations, summaryQuality } = require('./data-quality');
+const { findLegacyMetricsPages, legacyPageSummary } = require('./legacy-metrics');
+
+// Metrics history of a site (the site "history" file, default history/<site>.jsonl): one JSON line per
+// release and section with the runs, every aggregate, the spread, the test environment and the data
+// quality, so the report can be built after the release folders are gone. It is versioned with the
+// results: a new release is appended, a release recorded again (re-run, import with --force) replaces
+// its lines so the file holds one import per release.
+
+function historyFile(site) {
+    return path.resolve(ROOT_DIR, site.history);
+}
+
+// What the report needs of one summary JSON
+function sectionMetrics(json, runs = extractRuns(json), environment = extractEnvironment(json)) {
+    return {
+        runs,
+        aggregates: Object.fromEntries(AGGREGATES.map(aggregate => [aggregate, extractMetrics(json, aggregate, runs)])),
+        distribution: extractDistribution(json, runs),
+        environment,
+        quality: summaryQuality(json)
+    };
+}
+
+// Older layout page -> section alias: the section with the same URL, also across the /<country>/<language>/
+// prefix (the fr/fr pages of release-28 continue as the pl/pl ones), else the URL path like discoverSections
+function legacyAlias(site, url, fallback) {
+    const normalize = u => (u || '').replace(/\/+$/, '');
+    const withoutLocale = u => normalize(u).replace(/^(https?:\/\/[^/]+)\/[a-z]{2}\/[a-z]{2}(?=\/|$)/, '$1');
+    const section = site.sections.find(s => s.url && normalize(s.url) === normalize(url))
+        || site.sections.find(s => s.url && withoutLocale(s.url) === withoutLocale(url));
+    return section?.alias || fallback;
+}
+
+// Records of one release folder: the global summary and one per page, sections of the site definition first
+function releaseRecords(site, release, importedAt = new Date().toISOString()) {
+    const releaseDir = path.join(siteDir(site), release);
+    const pagesDir = path.join(releaseDir, 'pages');
+    // with the runs per page of the release, its settings.html is not kept in the history
+    const iterations = releaseIterations(releaseDir);
+    const metadata = iterations == null ? loadReleaseMetadata(releaseDir) : { ...loadReleaseMetadata(releaseDir), iterations };
+
+    const pages = new Map();
+    findPageSummaries(pagesDir).forEach(file => {
+        const json = loadJson(file);
+        // pages tested without an alias are stored under their URL path
+        const alias = json.info?.alias || path.relative(pagesDir, path.dirname(path.dirname(file)));
+        pages.set(alias, { json, source: 'pageSummary' });
+    });
+    // pages of the older layout, unless the page was measured again with an alias
+    findLegacyMetricsPages(pagesDir).forEach(file => {
+        const json = legacyPageSummary(file);
+        if (!json) return;
+        const alias = legacyAlias(site, json.info.url, path.relative(pagesDir, path.dirname(file)));
+        if (!pages.has(alias)) pages.set(alias, { json, source: 'metrics.html' });
+    });
+
+    // summary-total has no runs and no environment: pool those of the pages it was written for,
+    // a release without summary-total gets the statistics of the pooled runs of all its pages
+    const totalFile = path.join(releaseDir, 'data/browsertime.summary-total.json');
+    const hasTotal = fs.existsSync(totalFile);
+    const pooled = [...pages.values()].filter(({ source }) => !hasTotal || source === 'pageSummary');
+    const pooledRuns = poolRuns(pooled.map(({ json }) => extractRuns(json)));
+    const pooledEnvironment = mergeEnvironments(pooled.map(({ json }) => extractEnvironment(json)));
+
+    const records = [];
+    const record = (alias, fields) => records.push({ site: site.name, release, importedAt, metadata, alias, ...fields });
+
+    if (hasTotal || pooledRuns) {
+        const json = hasTotal ? loadJson(totalFile) : pooledSummary(pooledRuns);
+        record('GLOBAL', {
+            section: 'GLOBAL Website Performance',
+            page: '',
+            source: hasTotal ? 'summary-total' : 'pooled runs',
+            ...sectionMetrics(json, pooledRuns, pooledEnvironment)
+        });
+    }
+
+    const order = site.sections.map(s => s.alias);
+    const rank = alias => (order.includes(alias) ? order.indexOf(alias) : order.length);
+    [...pages.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b))
+        .forEach(([alias, { json, source }]) => {
+            const definition = site.sections.find(s => s.alias === alias);
+            record(alias, {
+                section: definition?.name || alias,
+                pageType: definition?.pageType,
+                page: json.info?.url || definition?.url || '',
+                source,
+                ...sectionMetrics(json)
+            });
+        });
+
+    return records;
+}
+
+function readRecords(file) {
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8').split('\n').flatMap((line, idx) => {
+        if (!line.trim()) return [];
+        try {
+            return [JSON.parse(line)];
+        } catch (e) {
+            console.warn(`⚠️ Skipping line ${idx + 1} of ${file}:`, e.message);
+            return [];
+        }
+    });
+}
+
+// Stored records, only the latest import of every release (a file merged by hand can hold several), in file order
+function readHistory(site) {
+    const records = readRecords(historyFile(site));
+    const latestImport = {};
+    records.forEach(r => {
+        if (!latestImport[r.release] || r.importedAt > latestImport[r.release]) latestImport[r.release] = r.importedAt;
+    });
+    // the same import twice (both sides of a merge kept) counts once
+    const latest = new Map();
+    records.filter(r => r.importedAt === latestImport[r.release]).forEach(r => latest.set(`${r.release}\n${r.alias}`, r));
+    return [...latest.values()];
+}
+
+// Releases of the stored records, oldest first, and their metadata
+function historyReleases(records) {
+    const metadataByRelease = {};
+    records.forEach(r => { metadataByRelease[r.release] = r.metadata || null; });
+    return { releases: sortReleases(Object.keys(metadataByRelease), metadataByRelease), metadataByRelease };
+}
+
+const toLines = records => records.map(r => `${JSON.stringify(r)}\n`).join('');
+
+// Rewrite the history with the given records, oldest release first. Written next to the file and
+// renamed, so an interrupted write does not lose the history.
+function writeHistory(site, records) {
+    const file = historyFile(site);
+    const { releases } = historyReleases(records);
+    const ordered = releases.flatMap(release => records.filter(r => r.release === release));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, toLines(ordered), 'utf8');
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// Keep only the latest import of every release, returns the number of lines removed
+function compactHistory(site) {
+    const file = historyFile(site);
+    const lineCount = readRecords(file).length;
+    const records = readHistory(site);
+    if (records.length < lineCount) writeHistory(site, records);
+    return lineCount - records.length;
+}
+
+// Add the records of a release folder to the history of the site, replacing an earlier import of the release,
+// returns them
+function recordRelease(site, release) {
+    const records = releaseRecords(site, release);
+    if (records.length === 0) return records;
+
+    const stored = readRecords(historyFile(site));
+    if (stored.some(r => r.release === release)) {
+        writeHistory(site, [...stored.filter(r => r.release !== release), ...records]);
+    } else {
+        const file = historyFile(site);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, toLines(records), 'utf8');
+    }
+    return records;
+}
+
+module.exports = { historyFile, releaseRecords, readHistory, historyReleases, compactHistory, recordRelease };
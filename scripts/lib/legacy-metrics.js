@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { metricKeys, runStatistics } = require('./web-vitals');
+
+// Pages of the older releases (e.g. release-28) were tested without an alias: they are stored under
+// their URL path (pages/<domain>/pl/pl/..., pages/<domain>/fr/fr/...) and the cleanup only kept the
+// sitespeed.io HTML. Their "Metrics per run" page (metrics.html) still lists the Web Vitals of every run.
+
+// Row of the "Google Web Vitals" table -> report metric
+const rowMetrics = {
+    'Time to First Byte': 'TTFB',
+    'First Contentful Paint': 'FCP',
+    'Largest Contentful Paint': 'LCP',
+    'Total Blocking Time': 'TBT',
+    'Cumulative Layout Shift': 'CLS'
+};
+
+const stripTags = html => html.replace(/<[^>]*>/g, '').trim();
+
+// "466 ms" -> 466, "1.712 s" -> 1712, "0.944" -> 0.944, null when the run has no value
+function parseValue(text) {
+    const match = /^(-?[\d.]+)\s*(ms|s)?$/.exec(text);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return match[2] === 's' ? Math.round(value * 1000) : value;
+}
+
+// metrics.html files below a release "pages" folder whose page has no browsertime.pageSummary.json
+function findLegacyMetricsPages(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findLegacyMetricsPages(fullPath);
+        const hasSummary = fs.existsSync(path.join(dir, 'data', 'browsertime.pageSummary.json'));
+        return entry.name === 'metrics.html' && !hasSummary ? [fullPath] : [];
+    });
+}
+
+// Page summary shaped object read from a metrics.html, so the Web Vitals, environment and data
+// quality helpers read it like a browsertime.pageSummary.json. null when it has no Web Vitals table.
+function legacyPageSummary(file) {
+    const html = fs.readFileSync(file, 'utf8');
+    const url = /<h5 class="url"><a href="([^"]+)"/.exec(html)?.[1] || null;
+    const tested = /Tested (\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) using ([^<]+?)\s*</.exec(html);
+    const runCount = [...html.matchAll(/<th><b>\d+<\/b><\/th>/g)].length;
+
+    // rows of the "Google Web Vitals" group: name, one cell per run, median, mean, stddev, rsd
+    const rows = {};
+    let group = null;
+    html.split(/<tr>/).forEach(row => {
+        const heading = /<th colspan="\d+">([^<]*)<\/th>/.exec(row);
+        if (heading) {
+            group = heading[1].trim();
+            return;
+        }
+        if (group !== 'Google Web Vitals') return;
+
+        const cells = [...row.matchAll(/<td>(.*?)<\/td>/g)].map(m => stripTags(m[1]));
+        const metric = rowMetrics[cells[0]];
+        if (metric && cells.length >= runCount + 5) {
+            rows[metric] = {
+                runs: cells.slice(1, runCount + 1).map(parseValue),
+                median: parseValue(cells[runCount + 1]),
+                mean: parseValue(cells[runCount + 2]),
+                stddev: parseValue(cells[runCount + 3]),
+                rsd: parseFloat(cells[runCount + 4]) || 0
+            };
+        }
+    });
+    if (runCount === 0 || Object.keys(rows).length === 0) return null;
+
+    const googleWebVitals = Array.from({ length: runCount }, (_, idx) => Object.fromEntries(Object.entries(metricKeys)
+        .filter(([metric]) => rows[metric])
+        .map(([metric, key]) => [key, rows[metric].runs[idx]])));
+    const statistics = Object.fromEntries(Object.entries(metricKeys)
+        .filter(([metric]) => rows[metric])
+        .map(([metric, key]) => {
+            // median, mean, stddev and rsd as shown by sitespeed.io, the others from the runs
+            const { runs, median: tableMedian, mean, stddev, rsd } = rows[metric];
+            return [key, { ...runStatistics(runs), median: tableMedian, mean, stddev, rsd }];
+        }));
+
+    const timestamp = tested ? `${tested[1]}T${tested[2]}` : null;
+    const [browserName, browserVersion] = tested ? tested[3].split(' ') : [];
+    return {
+        info: { url, timestamp, browser: { name: browserName, version: browserVersion } },
+        timestamps: Array(runCount).fill(timestamp),
+        googleWebVitals,
+        statistics: { googleWebVitals: statistics }
+    };
+}
+
+module.exports = { findLegacyMetricsPages, legacyPageSummary };
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./releases');
+const { scoreRating } = require('./scoring');
+const { formatValue } = require('./format');
+
+// Release summary posted to the webhooks of the site definition ("notifications") after a run:
+// [{ "url": "${HOMERUN_SLACK_WEBHOOK_URL}", "format": "slack" | "teams" | "json", "template": "scripts/notifications/slack-compact.json" }]
+// ${NAME} in the URL is read from the environment, so the webhook secrets stay out of the repository.
+
+const MAX_REGRESSIONS = 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const ratingMarkers = { good: '🟢', average: '🟠', poor: '🔴' };
+
+function signed(value, digits = 0) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+}
+
+// Summary of a release from the comparison export (buildExport): score per page, score diff
+// and the significant regressions against the previous release, largest first
+function buildSummary(data, site, release = data.releases[data.releases.length - 1]) {
+    const idx = data.releases.indexOf(release);
+    const prevRelease = idx > 0 ? data.releases[idx - 1] : null;
+
+    const pages = data.sections.map(({ section, releases }) => {
+        const entry = releases[release];
+        return { section, measured: !!entry?.measured, score: entry?.score ?? null, scoreDiff: entry?.scoreDiff ?? null };
+    });
+
+    const allRegressions = data.sections.flatMap(({ section, releases }) => Object.entries(releases[release]?.metrics || {})
+        .filter(([, m]) => m.significance === 'regression')
+        .map(([metric, m]) => ({ section, metric, value: m.value, unit: m.unit, diff: m.diff, pct: m.pct })))
+        .sort((a, b) => (b.pct ?? 0) - (a.pct ?? 0));
+
+    const pagesText = pages.map(({ section, measured, score, scoreDiff }) => {
+        if (!measured) return `${section}: not measured`;
+        return `${ratingMarkers[scoreRating(score)] || '⚪'} ${section}: ${score ?? '-'}${scoreDiff != null ? ` (${signed(scoreDiff)})` : ''}`;
+    }).join('\n');
+    const regressionsText = allRegressions.length === 0
+        ? 'No significant regressions.'
+        : allRegressions.slice(0, MAX_REGRESSIONS)
+            .map(r => `🔴 ${r.section} ${r.metric}: ${formatValue(r.value, r.unit)}${r.pct != null ? ` (${signed(r.pct, 1)}%)` : ''}`)
+            .join('\n');
+
+    const label = data.releaseLabels[release];
+    const prevLabel = prevRelease ? data.releaseLabels[prevRelease] : null;
+    return {
+        site: data.site,
+        title: data.title,
+        release,
+        label,
+        previous: prevLabel,
+        aggregate: data.aggregate,
+        reportUrl: site.releaseBaseUrl ? `${site.releaseBaseUrl}${release}/` : null,
+        headline: `${data.title} ${label}${prevLabel ? ` vs ${prevLabel}` : ''}: ${allRegressions.length} significant regression(s)`,
+        pages,
+        pagesText,
+        regressions: allRegressions.slice(0, MAX_REGRESSIONS),
+        regressionCount: allRegressions.length,
+        regressionsText
+    };
+}
+
+function slackPayload(summary) {
+    return {
+        text: summary.headline,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `📊 ${summary.title} ${summary.label}` } },
+            { type: 'section', text: { type: 'mrkdwn', text: `*Performance score${summary.previous ? ` vs ${summary.previous}` : ''}*\n${summary.pagesText}` } },
+            { type: 'section', text: { type: 'mrkdwn', text: `*Top regressions (${summary.regressionCount})*\n${summary.regressionsText}` } },
+            ...(summary.reportUrl ? [{ type: 'section', text: { type: 'mrkdwn', text: `<${summary.reportUrl}|Open the release report>` } }] : [])
+        ]
+    };
+}
+
+// Adaptive Card, as accepted by Teams incoming webhooks and Workflows
+function teamsPayload(summary) {
+    const textBlock = (text, extra = {}) => ({ type: 'TextBlock', text, wrap: true, ...extra });
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    textBlock(`📊 ${summary.title} ${summary.label}`, { size: 'Large', weight: 'Bolder' }),
+                    textBlock(`Performance score${summary.previous ? ` vs ${summary.previous}` : ''}`, { weight: 'Bolder' }),
+                    // TextBlocks only break lines on blank lines
+                    textBlock(summary.pagesText.replace(/\n/g, '\n\n')),
+                    textBlock(`Top regressions (${summary.regressionCount})`, { weight: 'Bolder' }),
+                    textBlock(summary.regressionsText.replace(/\n/g, '\n\n'))
+                ],
+                actions: summary.reportUrl ? [{ type: 'Action.OpenUrl', title: 'Open the release report', url: summary.reportUrl }] : []
+            }
+        }]
+    };
+}
+
+const payloadFormats = {
+    slack: slackPayload,
+    teams: teamsPayload,
+    json: summary => summary
+};
+
+// Replace {{name}} placeholders (dotted paths into the summary) in every string of a JSON template.
+// A string that is only a placeholder takes the value as is, e.g. "{{regressions}}" becomes an array.
+function renderTemplate(node, values) {
+    const lookup = key => key.split('.').reduce((value, part) => value?.[part], values);
+    if (typeof node === 'string') {
+        const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(node);
+        if (whole) return lookup(whole[1]) ?? null;
+        return node.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+            const value = lookup(key);
+            if (value == null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+        });
+    }
+    if (Array.isArray(node)) return node.map(item => renderTemplate(item, values));
+    if (node && typeof node === 'object') return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, renderTemplate(value, values)]));
+    return node;
+}
+
+// "${NAME}" in a webhook URL -> the NAME environment variable, null when it is not set
+function resolveWebhookUrl(url) {
+    let missing = false;
+    const resolved = `${url || ''}`.replace(/\$\{(\w+)\}/g, (_, name) => {
+        if (!process.env[name]) missing = true;
+        return process.env[name] || '';
+    });
+    return missing || !resolved ? null : resolved;
+}
+
+// Payload of a webhook: its template, else its format (default: slack)
+function webhookPayload(webhook, summary) {
+    if (webhook.template) {
+        const template = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, webhook.template), 'utf8'));
+        return renderTemplate(template, summary);
+    }
+    const format = payloadFormats[webhook.format || 'slack'];
+    if (!format) throw new Error(`Unknown notification format "${webhook.format}", use one of ${Object.keys(payloadFormats).join(', ')}.`);
+    return format(summary);
+}
+
+async function postJson(url, payload) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+    } catch (err) {
+        // "fetch failed" alone does not tell a refused connection from an unknown host
+        throw new Error(err.cause ? `${err.message} (${err.cause.code || err.cause.message})` : err.message);
+    }
+    if (!response.ok) {
+        const body = (await response.text()).slice(0, 200);
+        throw new Error(`HTTP ${response.status}${body ? `: ${body}` : ''}`);
+    }
+}
+
+// Post the summary to every webhook of the site, prints the payloads instead with dryRun.
+// A failing webhook does not stop the others: returns [{ name, status: 'sent' | 'skipped' | 'failed', error }]
+async function sendNotifications(site, summary, { dryRun = false } = {}) {
+    const webhooks = site.notifications || [];
+    const results = [];
+
+    for (const [idx, webhook] of webhooks.entries()) {
+        const name = webhook.name || `${webhook.format || 'slack'} webhook ${idx + 1}`;
+        try {
+            const payload = webhookPayload(webhook, summary);
+            const url = resolveWebhookUrl(webhook.url);
+            if (dryRun) {
+                console.log(`📣 ${name} (${url ? 'configured' : `${webhook.url || 'no URL'} not set`}):\n${JSON.stringify(payload, null, 2)}`);
+                results.push({ name, status: 'skipped' });
+            } else if (!url) {
+                console.warn(`⚠️ ${name}: ${webhook.url || 'no URL'} is not set, skipped`);
+                results.push({ name, status: 'skipped' });
+            } else {
+                await postJson(url, payload);
+                console.log(`✅ ${name}: summary posted`);
+                results.push({ name, status: 'sent' });
+            }
+        } catch (err) {
+            console.error(`❌ ${name}: ${err.message}`);
+            results.push({ name, status: 'failed', error: err.message });
+        }
+    }
+
+    return results;
+}
+
+module.exports = { buildSummary, payloadFormats, renderTemplate, webhookPayload, sendNotifications };
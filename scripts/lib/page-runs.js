@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJson, findPageSummaries } = require('./sitespeed');
+const { summaryQuality } = require('./data-quality');
+const { extractRuns, poolRuns, pooledSummary } = require('./web-vitals');
+
+// Pages of a sitespeed.io run that failed, so the e2e runner can re-run only those
+// and merge the successful retries into the release folder.
+
+// URLs file of a site: one "<url> [alias]" per line
+function readUrls(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [url, alias = null] = line.split(/\s+/);
+            return { url, alias };
+        });
+}
+
+function writeUrls(file, urls) {
+    fs.writeFileSync(file, `${urls.map(({ url, alias }) => (alias ? `${url} ${alias}` : url)).join('\n')}\n`, 'utf8');
+}
+
+// Page summary of a URL in a sitespeed.io output folder, matched by alias or URL
+function findPageSummary(summaries, { url, alias }) {
+    return summaries.find(({ json }) => (alias && json.info?.alias === alias) || json.info?.url === url);
+}
+
+function loadPageSummaries(outputDir) {
+    return findPageSummaries(path.join(outputDir, 'pages')).map(file => ({ file, json: loadJson(file) }));
+}
+
+// Why a page did not produce usable results, null when it did
+function failureReason(summary) {
+    if (!summary) return 'no page summary';
+    const quality = summaryQuality(summary.json);
+    if (!quality.readable) return 'unreadable page summary';
+    if (quality.markedAsFailure) return quality.failureMessages.join('; ') || 'marked as failure';
+    return null;
+}
+
+// URLs of the list that failed in the output folder: [{ url, alias, reason }]
+function findFailedPages(outputDir, urls) {
+    const summaries = loadPageSummaries(outputDir);
+    return urls
+        .map(entry => ({ ...entry, reason: failureReason(findPageSummary(summaries, entry)) }))
+        .filter(({ reason }) => reason);
+}
+
+// <page folder>/data/browsertime.pageSummary.json -> <page folder>
+const pageFolder = summaryFile => path.dirname(path.dirname(summaryFile));
+
+// Copy the page folders (pages/<domain>/<alias>) of the URLs that succeeded in a retry over the
+// ones of the output folder, returns the merged URLs. Throws when the output folder still holds
+// the failed attempt of a merged page afterwards.
+function mergePages(retryDir, outputDir, urls) {
+    const summaries = loadPageSummaries(retryDir);
+
+    return urls.filter(entry => {
+        const summary = findPageSummary(summaries, entry);
+        if (failureReason(summary)) return false;
+
+        const pageDir = pageFolder(summary.file);
+        const target = path.join(outputDir, path.relative(retryDir, pageDir));
+        // the failed attempt may sit in another folder (e.g. a page that was redirected to another domain)
+        const failed = findPageSummary(loadPageSummaries(outputDir), entry);
+        if (failed) fs.rmSync(pageFolder(failed.file), { recursive: true, force: true });
+        fs.rmSync(target, { recursive: true, force: true });
+        fs.cpSync(pageDir, target, { recursive: true });
+
+        const merged = findPageSummary(loadPageSummaries(outputDir), entry);
+        if (!merged || failureReason(merged) || merged.json.info?.timestamp !== summary.json.info?.timestamp) {
+            throw new Error(`The retry of ${entry.alias || entry.url} did not replace the failed page in ${outputDir}`);
+        }
+        return true;
+    });
+}
+
+// browsertime.summary-total.json of the output folder still holds the failed first attempt after a merge:
+// replace its Web Vitals with the statistics of the runs of the merged page summaries, the other totals
+// (cpu, timings, coach, pageinfo...) can not be rebuilt from the pages and are kept as they are
+function rebuildSummaryTotal(outputDir) {
+    const runs = poolRuns(loadPageSummaries(outputDir).map(({ json }) => extractRuns(json)));
+    const file = path.join(outputDir, 'data', 'browsertime.summary-total.json');
+    const existing = fs.existsSync(file) ? loadJson(file) : {};
+    if (!runs) return existing;
+
+    const summary = { ...existing, ...pooledSummary(runs) };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(summary, null, 2), 'utf8');
+    return summary;
+}
+
+module.exports = { readUrls, writeUrls, findFailedPages, mergePages, rebuildSummaryTotal };
@@ -0,0 +1,143 @@
+const zlib = require('zlib');
+
+// Minimal PNG codec on top of zlib, enough for the browsertime screenshots:
+// decodes non-interlaced grayscale, RGB, palette, gray+alpha and RGBA images (8 or 16 bit)
+// to RGBA, and encodes RGBA images.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Undo the per-row filters, returns the raw scanlines without filter bytes
+function unfilter(data, width, height, bpp) {
+    const stride = width * bpp;
+    const out = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const offset = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? out[offset + x - bpp] : 0;
+            const up = y > 0 ? out[offset + x - stride] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[offset + x - stride - bpp] : 0;
+            let value = row[x];
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) value += paeth(left, up, upLeft);
+            else if (filter !== 0) throw new Error(`Unknown PNG filter ${filter}`);
+            out[offset + x] = value & 0xff;
+        }
+    }
+    return out;
+}
+
+// PNG file content -> { width, height, data } with data as RGBA bytes
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+    let header, palette = null, transparency = null;
+    const idat = [];
+    for (let pos = 8; pos < buffer.length;) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('ascii', pos + 4, pos + 8);
+        const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos += length + 12;
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header || {};
+    const channels = CHANNELS[colorType];
+    if (!header || !channels) throw new Error('Unsupported PNG color type');
+    if (interlace !== 0) throw new Error('Interlaced PNGs are not supported');
+    if (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) throw new Error(`Unsupported PNG bit depth ${bitDepth}`);
+
+    const bytesPerSample = bitDepth / 8;
+    const raw = unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, channels * bytesPerSample);
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        // the high byte of a 16 bit sample is precise enough to compare screenshots
+        const sample = c => raw[(i * channels + c) * bytesPerSample];
+        let rgba;
+        if (colorType === 0) rgba = [sample(0), sample(0), sample(0), 255];
+        else if (colorType === 2) rgba = [sample(0), sample(1), sample(2), 255];
+        else if (colorType === 3) {
+            const idx = sample(0);
+            rgba = [palette[idx * 3], palette[idx * 3 + 1], palette[idx * 3 + 2], transparency && idx < transparency.length ? transparency[idx] : 255];
+        } else if (colorType === 4) rgba = [sample(0), sample(0), sample(0), sample(1)];
+        else rgba = [sample(0), sample(1), sample(2), sample(3)];
+        data.set(rgba, i * 4);
+    }
+
+    return { width, height, data };
+}
+
+function chunk(type, content) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(content.length);
+    const typeAndContent = Buffer.concat([Buffer.from(type, 'ascii'), content]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndContent));
+    return Buffer.concat([length, typeAndContent, crc]);
+}
+
+// { width, height, data (RGBA) } -> PNG file content
+function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride); // filter byte 0: none
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { decodePng, encodePng };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSite, listSites } = require('./sites');
+const { loadJson, findPageSummaries } = require('./sitespeed');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function siteDir(site) {
+    return path.join(ROOT_DIR, site.folder);
+}
+
+// Metadata the runner writes into every release folder:
+// { release, label, date (ISO datetime of the run start, e.g. 2025-09-22T20:25:13+03:00), build, gitSha, environment, notes }
+const RELEASE_METADATA_FILE = 'release.json';
+
+function loadReleaseMetadata(releaseDir) {
+    const file = path.join(releaseDir, RELEASE_METADATA_FILE);
+    return fs.existsSync(file) ? loadJson(file) : null;
+}
+
+// Merge the given fields into the metadata of a release, fields left undefined keep their value
+function writeReleaseMetadata(releaseDir, fields) {
+    const metadata = {
+        ...loadReleaseMetadata(releaseDir),
+        ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null))
+    };
+    fs.writeFileSync(path.join(releaseDir, RELEASE_METADATA_FILE), `${JSON.stringify(metadata, null, 2)}\n`, 'utf8');
+    return metadata;
+}
+
+// Metadata of every release of a site: { "release-29": {...}, ... }, null for releases without a metadata file
+function releaseMetadata(baseDir, releases) {
+    return Object.fromEntries(releases.map(r => [r, loadReleaseMetadata(path.join(baseDir, r))]));
+}
+
+// Name shown in the reports, e.g. "p1-release-29", the folder name when the release has no label
+function releaseLabel(release, metadata) {
+    return metadata?.label || release;
+}
+
+// release-9 < release-10 < release-10.1 < release-11, numbers inside the names are compared as numbers
+function naturalCompare(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+// Oldest first: by the run instant of the release metadata, releases without a date before the dated ones
+// (they predate the metadata), then in natural version order of the folder names. One key per release
+// keeps the order total whatever metadata is missing.
+function sortReleases(releases, metadataByRelease = {}) {
+    // compared as instants, the runner writes UTC and the backfilled dates keep the test machine offset
+    const runTime = release => {
+        const time = Date.parse(metadataByRelease[release]?.date);
+        return Number.isNaN(time) ? -Infinity : time;
+    };
+    return [...releases]
+        .map(release => ({ release, time: runTime(release) }))
+        .sort((a, b) => (a.time === b.time ? naturalCompare(a.release, b.release) : a.time - b.time))
+        .map(({ release }) => release);
+}
+
+// A release folder holds sitespeed.io results (index.html) or release metadata
+function isReleaseDir(dir) {
+    return fs.existsSync(path.join(dir, RELEASE_METADATA_FILE)) || fs.existsSync(path.join(dir, 'index.html'));
+}
+
+// Release folders of a site, oldest first
+function listReleases(baseDir) {
+    if (!fs.existsSync(baseDir)) return [];
+
+    const releases = fs.readdirSync(baseDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && isReleaseDir(path.join(baseDir, entry.name)))
+        .map(entry => entry.name);
+    // releases without a metadata date are ordered by their first run
+    const metadataByRelease = Object.fromEntries(Object.entries(releaseMetadata(baseDir, releases))
+        .map(([release, metadata]) => [release, metadata?.date ? metadata : { ...metadata, date: releaseRunTimestamp(path.join(baseDir, release)) }]));
+    return sortReleases(releases, metadataByRelease);
+}
+
+// Releases from..to (both included, by folder name or label) of a list ordered oldest first
+function releaseRange(releases, metadataByRelease = {}, { from, to } = {}) {
+    const indexOf = bound => {
+        const idx = releases.findIndex(r => r === bound || releaseLabel(r, metadataByRelease[r]) === bound);
+        if (idx === -1) throw new Error(`Unknown release "${bound}", use one of ${releases.join(', ')}.`);
+        return idx;
+    };
+    const start = from ? indexOf(from) : 0;
+    const end = to ? indexOf(to) : releases.length - 1;
+    if (start > end) throw new Error(`The range starts with "${from}", which was tested after "${to}".`);
+    return releases.slice(start, end + 1);
+}
+
+// First run of a release as written by sitespeed.io (in the test machine timezone) in the page summaries,
+// else the "Tested ..." date of the sitespeed.io index.html, null when neither is there
+function releaseRunTimestamp(releaseDir) {
+    const timestamps = findPageSummaries(path.join(releaseDir, 'pages')).flatMap(file => {
+        const json = loadJson(file);
+        return [json.info?.timestamp, ...(json.timestamps || [])].filter(Boolean);
+    });
+
+    if (timestamps.length > 0) {
+        return timestamps.reduce((a, b) => (new Date(b) < new Date(a) ? b : a));
+    }
+
+    const indexFile = path.join(releaseDir, 'index.html');
+    if (fs.existsSync(indexFile)) {
+        const match = fs.readFileSync(indexFile, 'utf8').match(/Tested (\d{4}-\d{2}-\d{2})/);
+        if (match) return match[1];
+    }
+
+    return null;
+}
+
+// Date the release was tested (YYYY-MM-DD): the date of the release metadata, else of its first run
+function releaseRunDate(releaseDir) {
+    const date = loadReleaseMetadata(releaseDir)?.date || releaseRunTimestamp(releaseDir);
+    return date ? date.slice(0, 10) : null;
+}
+
+// 2025-10-03 -> 03.10.2025
+function formatDate(date) {
+    if (!date) return '';
+    const [year, month, day] = date.split('-');
+    return `${day}.${month}.${year}`;
+}
+
+// Releases of a site with their label, metadata, run date and report link, newest first
+function releaseHistory(site) {
+    const baseDir = siteDir(site);
+    return listReleases(baseDir).reverse().map(release => {
+        const metadata = loadReleaseMetadata(path.join(baseDir, release));
+        return {
+            release,
+            label: releaseLabel(release, metadata),
+            metadata,
+            date: releaseRunDate(path.join(baseDir, release)),
+            url: `${site.releaseBaseUrl}${release}/`
+        };
+    });
+}
+
+// Release history of every site defined in scripts/sites/, in the site "order"
+function allReleaseHistories() {
+    return listSites()
+        .map(name => loadSite(name))
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+        .map(site => ({ site, releases: releaseHistory(site) }));
+}
+
+module.exports = { ROOT_DIR, RELEASE_METADATA_FILE, siteDir, loadReleaseMetadata, writeReleaseMetadata, releaseMetadata, releaseLabel, sortReleases, listReleases, releaseRange, releaseRunDate, formatDate, releaseHistory, allReleaseHistories };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { siteDir, listReleases } = require('./releases');
+
+// Retention policy of the release folders of a site (the "retention" block of the site definition):
+// - keep: globs that are never removed
+// - delete: globs removed from every release (HARs and intermediate JSONs by default)
+// - keepFullReleases: the newest N releases keep everything else, older ones are slimmed
+// - slim: globs removed from the slimmed releases (e.g. per-run pages and screenshots)
+// - maxSizeMB: size budget of the site folder, the oldest full releases are slimmed until it fits
+// Globs are matched against the path relative to the release folder, "**" matches any folders.
+
+const DEFAULT_RETENTION = {
+    keep: ['**/browsertime.pageSummary.json', '**/browsertime.summary-total.json', '**/resources.summary.json', 'release.json'],
+    delete: ['**/*.har.gz', '**/*.json'],
+    keepFullReleases: null,
+    slim: [],
+    maxSizeMB: null
+};
+
+function retentionPolicy(site) {
+    return { ...DEFAULT_RETENTION, ...(site.retention || {}) };
+}
+
+function globToRegExp(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                re += '(?:.*/)?';
+            } else {
+                re += '.*';
+            }
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i) > i) {
+            const end = glob.indexOf(']', i);
+            re += glob.slice(i, end + 1);
+            i = end;
+        } else {
+            re += c.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+function matcher(globs) {
+    const patterns = globs.map(globToRegExp);
+    return file => patterns.some(re => re.test(file));
+}
+
+// Every file below a folder with its path relative to the folder and its size
+function listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(fullPath, base);
+        return [{ file: path.relative(base, fullPath).split(path.sep).join('/'), fullPath, bytes: fs.statSync(fullPath).size }];
+    });
+}
+
+function folderSize(dir) {
+    return listFiles(dir).reduce((sum, f) => sum + f.bytes, 0);
+}
+
+// Files to remove from every release of the site: [{ release, file, fullPath, bytes, rule }]
+function planRetention(site) {
+    const policy = retentionPolicy(site);
+    const baseDir = siteDir(site);
+    const releases = listReleases(baseDir);
+    const isKept = matcher(policy.keep);
+    const isDeleted = matcher(policy.delete);
+    const isSlimmed = matcher(policy.slim);
+
+    // the newest release is always kept in full, also with "keepFullReleases": 0
+    const fullCount = policy.keepFullReleases == null ? releases.length : Math.max(policy.keepFullReleases, 1);
+    const fullReleases = new Set(releases.slice(Math.max(releases.length - fullCount, 0)));
+
+    const filesByRelease = Object.fromEntries(releases.map(r => [r, listFiles(path.join(baseDir, r))]));
+
+    const actionsFor = (release, slim) => filesByRelease[release].flatMap(f => {
+        if (isKept(f.file)) return [];
+        if (isDeleted(f.file)) return [{ release, ...f, rule: 'delete' }];
+        if (slim && isSlimmed(f.file)) return [{ release, ...f, rule: 'slim' }];
+        return [];
+    });
+
+    const actions = releases.flatMap(r => actionsFor(r, !fullReleases.has(r)));
+    const sizeBefore = folderSize(baseDir);
+    const saved = list => list.reduce((sum, a) => sum + a.bytes, 0);
+    let sizeAfter = sizeBefore - saved(actions);
+
+    // over budget: slim the oldest full releases, never the newest one
+    const budgetBytes = policy.maxSizeMB == null ? null : policy.maxSizeMB * 1024 * 1024;
+    const slimmedForBudget = [];
+    if (budgetBytes != null && policy.slim.length > 0) {
+        for (const release of releases.slice(0, -1).filter(r => fullReleases.has(r))) {
+            if (sizeAfter <= budgetBytes) break;
+            const extra = actionsFor(release, true).filter(a => a.rule === 'slim').map(a => ({ ...a, rule: 'budget' }));
+            actions.push(...extra);
+            sizeAfter -= saved(extra);
+            slimmedForBudget.push(release);
+        }
+    }
+
+    return {
+        site: site.name,
+        baseDir,
+        releases,
+        fullReleases: [...fullReleases].filter(r => !slimmedForBudget.includes(r)),
+        slimmedForBudget,
+        actions,
+        sizeBefore,
+        sizeAfter,
+        budgetBytes,
+        overBudget: budgetBytes != null && sizeAfter > budgetBytes
+    };
+}
+
+// Remove the planned files and the folders left empty, nothing is touched with dryRun
+function applyRetention(plan, { dryRun = false } = {}) {
+    if (dryRun) return;
+
+    const dirs = new Set();
+    plan.actions.forEach(({ fullPath }) => {
+        try {
+            fs.unlinkSync(fullPath);
+            dirs.add(path.dirname(fullPath));
+        } catch (err) {
+            console.error(`❌ Could not delete ${fullPath}:`, err.message);
+        }
+    });
+
+    // deepest folders first, so a parent left empty is removed as well (up to the release folder)
+    [...dirs].sort((a, b) => b.length - a.length).forEach(dir => {
+        while (path.dirname(dir).startsWith(plan.baseDir) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    });
+}
+
+function formatMB(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const ruleLabels = { delete: 'deleted', slim: 'slimmed', budget: 'slimmed for the size budget' };
+
+// What was (or would be) removed per release and rule, and the bytes saved
+function printRetentionReport(plan, { dryRun = false } = {}) {
+    const verb = dryRun ? 'would be removed' : 'removed';
+
+    console.log(`\n🧹 Retention ${plan.site}: full artifacts kept for ${plan.fullReleases.join(', ') || 'no release'}`);
+    plan.releases.forEach(release => {
+        const actions = plan.actions.filter(a => a.release === release);
+        if (actions.length === 0) {
+            console.log(`   ${release}: nothing to remove`);
+            return;
+        }
+        const byRule = Object.keys(ruleLabels)
+            .map(rule => actions.filter(a => a.rule === rule))
+            .filter(list => list.length > 0)
+            .map(list => `${list.length} files ${ruleLabels[list[0].rule]} (${formatMB(list.reduce((sum, a) => sum + a.bytes, 0))})`);
+        console.log(`   ${release}: ${byRule.join(', ')}`);
+    });
+
+    const saved = plan.sizeBefore - plan.sizeAfter;
+    console.log(`🗑️ ${plan.actions.length} files ${verb}, ${formatMB(saved)} saved: ${formatMB(plan.sizeBefore)} → ${formatMB(plan.sizeAfter)}`);
+
+    if (plan.budgetBytes != null) {
+        if (plan.overBudget) {
+            console.warn(`⚠️ ${plan.site} is ${formatMB(plan.sizeAfter)}, over its budget of ${formatMB(plan.budgetBytes)} after slimming every older release`);
+        } else {
+            console.log(`✅ ${plan.site} is within its budget of ${formatMB(plan.budgetBytes)}`);
+        }
+    }
+}
+
+module.exports = { DEFAULT_RETENTION, retentionPolicy, globToRegExp, planRetention, applyRetention, printRetentionReport };
@@ -0,0 +1,103 @@
+const { normalCdf } = require('./stats');
+
+// Performance score of a page from its Web Vitals, like the Lighthouse performance score:
+// every metric is scored 0-100 on a log-normal curve and the overall score is the weighted
+// average of the measured metrics. The site definition picks the profile ("scoreProfile").
+//
+// Curves are given either as Lighthouse control points { p10, median } (score 90 at p10, 50 at the median)
+// or as { median, podr } with the curve the report has always used for the custom profile.
+// Lighthouse also weighs Speed Index (10%), which browsertime does not collect: the weights of the
+// metrics below are rescaled to the measured ones.
+
+const Z_P10 = 1.2815515655446004; // Φ⁻¹(0.9)
+
+const SCORE_PROFILES = {
+    custom: {
+        label: 'Custom (Web Vitals + TTFB)',
+        metrics: {
+            FCP: { median: 1800, podr: 3000, weight: 0.1 },
+            LCP: { median: 2500, podr: 4000, weight: 0.25 },
+            TBT: { median: 300, podr: 600, weight: 0.3 },
+            CLS: { median: 0.1, podr: 0.25, weight: 0.15 },
+            TTFB: { median: 800, podr: 1800, weight: 0.2 }
+        }
+    },
+    // Lighthouse v10+ mobile curves and weights
+    'lighthouse-mobile': {
+        label: 'Lighthouse mobile',
+        metrics: {
+            FCP: { p10: 1800, median: 3000, weight: 0.1 },
+            LCP: { p10: 2500, median: 4000, weight: 0.25 },
+            TBT: { p10: 200, median: 600, weight: 0.3 },
+            CLS: { p10: 0.1, median: 0.25, weight: 0.25 }
+        }
+    },
+    // Lighthouse v10+ desktop curves and weights
+    'lighthouse-desktop': {
+        label: 'Lighthouse desktop',
+        metrics: {
+            FCP: { p10: 934, median: 1600, weight: 0.1 },
+            LCP: { p10: 1200, median: 2400, weight: 0.25 },
+            TBT: { p10: 150, median: 350, weight: 0.3 },
+            CLS: { p10: 0.1, median: 0.25, weight: 0.25 }
+        }
+    }
+};
+
+const DEFAULT_SCORE_PROFILE = 'custom';
+
+function scoreProfile(name = DEFAULT_SCORE_PROFILE) {
+    const profile = SCORE_PROFILES[name];
+    if (!profile) throw new Error(`Unknown score profile "${name}", use one of ${Object.keys(SCORE_PROFILES).join(', ')}.`);
+    return { name, ...profile };
+}
+
+// σ of the log-normal curve
+function curveSigma(curve) {
+    if (curve.p10 != null) return Math.log(curve.median / curve.p10) / Z_P10;
+    return Math.log(2) / (Math.log(curve.podr) - Math.log(curve.median));
+}
+
+// Score 0-100 of a value on a curve, small is good
+function logNormalScore(value, curve) {
+    if (value == null) return null;
+    if (value <= 0) return 100;
+
+    const standardized = (Math.log(value) - Math.log(curve.median)) / curveSigma(curve);
+    return Math.round((1 - normalCdf(standardized)) * 100);
+}
+
+// Score of one metric in a profile, null when the profile does not score it
+function metricScore(metric, value, profile = scoreProfile()) {
+    const curve = profile.metrics[metric];
+    return curve ? logNormalScore(value, curve) : null;
+}
+
+// Overall score and what every metric adds to it:
+// { score, breakdown: [{ metric, value, score, weight, points }] }, weight is the rescaled share (0-1)
+function scoreBreakdown(metrics, profile = scoreProfile()) {
+    if (!metrics) return { score: null, breakdown: [] };
+
+    const scored = Object.entries(profile.metrics)
+        .map(([metric, curve]) => ({ metric, value: metrics[metric] ?? null, score: logNormalScore(metrics[metric], curve), weight: curve.weight }))
+        .filter(({ score }) => score != null);
+    const weightSum = scored.reduce((sum, m) => sum + m.weight, 0);
+    if (!weightSum) return { score: null, breakdown: [] };
+
+    const breakdown = scored.map(m => ({ ...m, weight: m.weight / weightSum, points: m.score * m.weight / weightSum }));
+    return { score: Math.round(breakdown.reduce((sum, m) => sum + m.points, 0)), breakdown };
+}
+
+function perfScore(metrics, profile = scoreProfile()) {
+    return scoreBreakdown(metrics, profile).score;
+}
+
+// Lighthouse buckets of a 0-100 score
+function scoreRating(score) {
+    if (score == null) return null;
+    if (score < 50) return 'poor';
+    if (score < 90) return 'average';
+    return 'good';
+}
+
+module.exports = { SCORE_PROFILES, DEFAULT_SCORE_PROFILE, scoreProfile, logNormalScore, metricScore, scoreBreakdown, perfScore, scoreRating };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { median } = require('./stats');
+const { decodePng, encodePng } = require('./png');
+
+// Screenshots browsertime stores for every run (data/screenshots/<run>/<type>.png),
+// the ones of the median run of a release, and a pixel diff between two releases.
+
+const screenshotTypes = {
+    largestContentfulPaint: 'LCP',
+    layoutShift: 'Layout shift',
+    afterPageCompleteCheck: 'Page complete'
+};
+
+// Per-channel difference (0..1) above which a pixel counts as changed, ignores compression noise
+const PIXEL_THRESHOLD = 0.1;
+
+// Index of the run closest to the median of the values (e.g. the LCP of every run)
+function medianRunIndex(values) {
+    const measured = (values || []).map((value, idx) => ({ value, idx })).filter(({ value }) => value != null);
+    if (measured.length === 0) return 0;
+
+    const mid = median(measured.map(m => m.value));
+    return measured.reduce((best, m) => Math.abs(m.value - mid) < Math.abs(best.value - mid) ? m : best).idx;
+}
+
+// Screenshot files of one run of a page summary, by type: { largestContentfulPaint: '/abs/path.png', ... }
+function runScreenshots(json, releaseDir, runIndex) {
+    const files = json?.files?.screenshot?.[runIndex] || [];
+    return Object.fromEntries(Object.keys(screenshotTypes).map(type => {
+        const file = files.find(f => path.basename(f, path.extname(f)) === type);
+        const fullPath = file ? path.join(releaseDir, file) : null;
+        return [type, fullPath && fs.existsSync(fullPath) ? fullPath : null];
+    }));
+}
+
+// Compare two RGBA images, pixels outside the smaller image count as changed.
+// The diff image shows changed pixels in red over a faded copy of the second image.
+function pixelDiff(a, b) {
+    const width = Math.max(a.width, b.width);
+    const height = Math.max(a.height, b.height);
+    const data = Buffer.alloc(width * height * 4);
+    const pixel = (img, x, y) => x < img.width && y < img.height ? img.data.subarray((y * img.width + x) * 4, (y * img.width + x) * 4 + 4) : null;
+
+    let changed = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const pa = pixel(a, x, y);
+            const pb = pixel(b, x, y);
+            const offset = (y * width + x) * 4;
+            const different = !pa || !pb || [0, 1, 2, 3].some(c => Math.abs(pa[c] - pb[c]) / 255 > PIXEL_THRESHOLD);
+
+            if (different) {
+                changed++;
+                data.set([255, 0, 0, 255], offset);
+            } else {
+                const gray = Math.round(0.3 * pb[0] + 0.59 * pb[1] + 0.11 * pb[2]);
+                const faded = Math.round(255 - (255 - gray) * 0.3);
+                data.set([faded, faded, faded, 255], offset);
+            }
+        }
+    }
+
+    return { diffPct: (changed / (width * height)) * 100, image: { width, height, data } };
+}
+
+// Diff of two PNG files: { diffPct, png }, null when one of them cannot be decoded
+function diffScreenshots(prevFile, file) {
+    try {
+        const { diffPct, image } = pixelDiff(decodePng(fs.readFileSync(prevFile)), decodePng(fs.readFileSync(file)));
+        return { diffPct, png: encodePng(image) };
+    } catch (e) {
+        console.error(`❌ Could not compare ${prevFile} and ${file}:`, e.message);
+        return null;
+    }
+}
+
+function dataUri(content) {
+    return `data:image/png;base64,${content.toString('base64')}`;
+}
+
+module.exports = { screenshotTypes, medianRunIndex, runScreenshots, diffScreenshots, dataUri };
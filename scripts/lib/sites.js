@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+const SITES_DIR = path.join(__dirname, '..', 'sites');
+
+// List the site names that have a definition in scripts/sites/
+function listSites() {
+    return fs.readdirSync(SITES_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => path.basename(f, '.json'))
+        .sort();
+}
+
+// Load a site definition by name (e.g. "homerun" -> scripts/sites/homerun.json)
+function loadSite(name) {
+    const siteName = path.basename(`${name}`.replace(/\/+$/, ''));
+    const filePath = path.join(SITES_DIR, `${siteName}.json`);
+
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Unknown site "${name}". Available sites: ${listSites().join(', ')}`);
+    }
+
+    const site = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        ...site,
+        name: siteName,
+        title: site.title || siteName,
+        folder: site.folder || siteName,
+        releaseBaseUrl: site.releaseBaseUrl || '',
+        urls: site.urls || `scripts/${siteName}_urls.txt`,
+        sitespeedConfig: site.sitespeedConfig || 'scripts/config.json',
+        report: site.report || `${siteName}-comparison-report.html`,
+        firstPartyDomains: site.firstPartyDomains || [],
+        sections: site.sections || [],
+        notifications: site.notifications || [],
+        history: site.history || `history/${siteName}.jsonl`
+    };
+}
+
+module.exports = { listSites, loadSite };
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helpers to read the sitespeed.io output stored in a release folder
+
+function loadJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        console.error(`❌ Could not load ${filePath}:`, e.message);
+        return {};
+    }
+}
+
+// Find every browsertime.pageSummary.json below a release "pages" folder
+function findPageSummaries(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findPageSummaries(fullPath);
+        return entry.name === 'browsertime.pageSummary.json' ? [fullPath] : [];
+    });
+}
+
+module.exports = { loadJson, findPageSummaries };
@@ -0,0 +1,102 @@
+// Error function approximation for Φ
+function erf(x) {
+    // Abramowitz-Stegun approximation
+    const sign = x >= 0 ? 1 : -1;
+    x = Math.abs(x);
+
+    const a1 = 0.254829592,
+        a2 = -0.284496736,
+        a3 = 1.421413741,
+        a4 = -1.453152027,
+        a5 = 1.061405429,
+        p  = 0.3275911;
+
+    const t = 1.0 / (1.0 + p * x);
+    const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+
+    return sign * y;
+}
+
+// Φ(z): standard normal CDF
+function normalCdf(z) {
+    return 0.5 * (1 + erf(z / Math.sqrt(2)));
+}
+
+function median(values) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Quantile with linear interpolation between closest ranks (q in 0..1)
+function quantile(values, q) {
+    if (!values || values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+// Mann-Whitney U test (two-sided), normal approximation with tie and continuity correction.
+// Does not assume normally distributed runs, which suits skewed timing metrics.
+function mannWhitneyU(a, b) {
+    const n1 = a.length, n2 = b.length;
+    if (n1 === 0 || n2 === 0) return null;
+
+    // Rank the pooled sample, ties get the average rank
+    const pooled = [
+        ...a.map(value => ({ value, group: 0 })),
+        ...b.map(value => ({ value, group: 1 }))
+    ].sort((x, y) => x.value - y.value);
+
+    let rankSumA = 0, tieTerm = 0;
+    for (let i = 0; i < pooled.length;) {
+        let j = i;
+        while (j < pooled.length && pooled[j].value === pooled[i].value) j++;
+        const rank = (i + j + 1) / 2; // ranks are 1-based
+        const ties = j - i;
+        tieTerm += ties ** 3 - ties;
+        for (let k = i; k < j; k++) {
+            if (pooled[k].group === 0) rankSumA += rank;
+        }
+        i = j;
+    }
+
+    const u = rankSumA - (n1 * (n1 + 1)) / 2;
+    const n = n1 + n2;
+    const meanU = (n1 * n2) / 2;
+    const varU = (n1 * n2 / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+
+    // every value identical: no evidence of a difference
+    if (varU <= 0) return { u, z: 0, pValue: 1 };
+
+    const z = (Math.abs(u - meanU) - 0.5) / Math.sqrt(varU);
+    const pValue = Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0))));
+
+    return { u, z, pValue };
+}
+
+// Compare the runs of two releases for a "lower is better" metric.
+// verdict: 'regression' | 'improvement' | 'noise' | 'unknown' (not enough runs)
+function compareRuns(prevRuns, runs, alpha = 0.05) {
+    const prev = (prevRuns || []).filter(v => v != null);
+    const curr = (runs || []).filter(v => v != null);
+
+    if (prev.length < 2 || curr.length < 2) {
+        return { verdict: 'unknown', pValue: null, confidence: null, n: [prev.length, curr.length] };
+    }
+
+    const { pValue } = mannWhitneyU(prev, curr);
+    const shift = median(curr) - median(prev);
+
+    let verdict = 'noise';
+    if (pValue < alpha && shift !== 0) {
+        verdict = shift > 0 ? 'regression' : 'improvement';
+    }
+
+    return { verdict, pValue, confidence: 1 - pValue, n: [prev.length, curr.length] };
+}
+
+module.exports = { erf, normalCdf, median, quantile, mannWhitneyU, compareRuns };
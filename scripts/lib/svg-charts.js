@@ -0,0 +1,105 @@
+const { escapeHtml } = require('./format');
+
+// Inline SVG charts rendered at generation time (no client-side chart library needed)
+
+const WIDTH = 320;
+const HEIGHT = 200;
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 52 };
+
+// Round the axis maximum up to 1, 2 or 5 × 10^n
+function niceMax(value) {
+    if (!value || value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(f => f * magnitude >= value);
+    return step * magnitude;
+}
+
+function formatTick(value, unit) {
+    if (unit === 'ms') return value >= 1000 ? `${+(value / 1000).toFixed(1)}s` : `${Math.round(value)}`;
+    return +value.toFixed(3) + '';
+}
+
+// Frame with horizontal grid lines, y ticks and one x label per release
+function axes(labels, yMax, unit, scaleY) {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => f * yMax);
+
+    const grid = ticks.map(t => `
+    <line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${scaleY(t)}" y2="${scaleY(t)}" stroke="#374151" stroke-width="1"/>
+    <text x="${MARGIN.left - 6}" y="${scaleY(t) + 4}" text-anchor="end" font-size="10" fill="#9ca3af">${formatTick(t, unit)}</text>`).join('');
+
+    const step = plotWidth / labels.length;
+    const xLabels = labels.map((label, i) => `
+    <text x="${MARGIN.left + step * (i + 0.5)}" y="${HEIGHT - 8}" text-anchor="middle" font-size="10" fill="#9ca3af">${escapeHtml(label)}</text>`).join('');
+
+    return grid + xLabels;
+}
+
+// Box/whisker chart, one box per release: whiskers min-max, box q1-q3, line at the median.
+// boxes[i] is null when the release was not measured.
+function boxPlotSvg(labels, boxes, unit) {
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const yMax = niceMax(Math.max(0, ...boxes.filter(Boolean).map(b => b.max)));
+    const scaleY = value => MARGIN.top + plotHeight - (value / yMax) * plotHeight;
+    const step = plotWidth / labels.length;
+    const boxWidth = Math.min(36, step * 0.5);
+
+    const shapes = boxes.map((box, i) => {
+        if (!box) return '';
+        const cx = MARGIN.left + step * (i + 0.5);
+        const left = cx - boxWidth / 2;
+        const title = `${labels[i]}: min ${formatTick(box.min, unit)}, q1 ${formatTick(box.q1, unit)}, median ${formatTick(box.median, unit)}, q3 ${formatTick(box.q3, unit)}, max ${formatTick(box.max, unit)}`;
+
+        return `
+    <g><title>${escapeHtml(title)}</title>
+      <line x1="${cx}" x2="${cx}" y1="${scaleY(box.max)}" y2="${scaleY(box.min)}" stroke="#93c5fd" stroke-width="1"/>
+      <line x1="${cx - boxWidth / 4}" x2="${cx + boxWidth / 4}" y1="${scaleY(box.max)}" y2="${scaleY(box.max)}" stroke="#93c5fd"/>
+      <line x1="${cx - boxWidth / 4}" x2="${cx + boxWidth / 4}" y1="${scaleY(box.min)}" y2="${scaleY(box.min)}" stroke="#93c5fd"/>
+      <rect x="${left}" y="${scaleY(box.q3)}" width="${boxWidth}" height="${Math.max(1, scaleY(box.q1) - scaleY(box.q3))}" fill="#3b82f6" fill-opacity="0.6" stroke="#93c5fd"/>
+      <line x1="${left}" x2="${left + boxWidth}" y1="${scaleY(box.median)}" y2="${scaleY(box.median)}" stroke="#f9fafb" stroke-width="2"/>
+    </g>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" xmlns="http://www.w3.org/2000/svg">${axes(labels, yMax, unit, scaleY)}${shapes}
+</svg>`;
+}
+
+// Bar per release with a trend line through the values.
+// values[i] is null when the release was not measured: no bar and the trend line is broken.
+function barChartSvg(labels, values, unit) {
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const yMax = niceMax(Math.max(0, ...values.filter(v => v != null)));
+    const scaleY = value => MARGIN.top + plotHeight - (value / yMax) * plotHeight;
+    const step = plotWidth / labels.length;
+    const barWidth = Math.min(48, step * 0.6);
+
+    const bars = values.map((value, i) => {
+        if (value == null) return '';
+        const cx = MARGIN.left + step * (i + 0.5);
+        return `
+    <g><title>${escapeHtml(`${labels[i]}: ${formatTick(value, unit)}${unit === 'ms' && value < 1000 ? ' ms' : ''}`)}</title>
+      <rect x="${cx - barWidth / 2}" y="${scaleY(value)}" width="${barWidth}" height="${scaleY(0) - scaleY(value)}" fill="#3b82f6"/>
+    </g>`;
+    }).join('');
+
+    // consecutive measured releases are joined, a gap starts a new segment
+    const segments = [[]];
+    values.forEach((value, i) => {
+        if (value == null) {
+            segments.push([]);
+            return;
+        }
+        segments[segments.length - 1].push(`${MARGIN.left + step * (i + 0.5)},${scaleY(value)}`);
+    });
+    const trend = segments.filter(points => points.length > 1).map(points => `
+    <polyline points="${points.join(' ')}" fill="none" stroke="#f59e0b" stroke-width="2"/>`).join('');
+    const dots = values.map((value, i) => value == null ? '' : `
+    <circle cx="${MARGIN.left + step * (i + 0.5)}" cy="${scaleY(value)}" r="3" fill="#f59e0b"/>`).join('');
+
+    return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" role="img" xmlns="http://www.w3.org/2000/svg">${axes(labels, yMax, unit, scaleY)}${bars}${trend}${dots}
+</svg>`;
+}
+
+module.exports = { boxPlotSvg, barChartSvg };
@@ -0,0 +1,61 @@
+const { quantile } = require('./stats');
+
+// User Timing marks (start time) and measures (duration) of a page, from
+// statistics.timings.userTimings and the per-run browserScripts timings.
+// The site definition can restrict them with an allow-list:
+// "userTimings": { "marks": ["Zone", "BV_PERF_MARK_*"], "measures": ["*"] } ("*" matches any characters)
+
+const TIMING_TYPES = { marks: 'mark', measures: 'measure' };
+
+function nameMatcher(patterns) {
+    if (!patterns) return () => true;
+    const regExps = patterns.map(p => new RegExp(`^${p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+    return name => regExps.some(re => re.test(name));
+}
+
+// Metric name shown in the report, the type keeps a mark and a measure with the same name apart
+function timingKey(type, name) {
+    return `${name} (${TIMING_TYPES[type]})`;
+}
+
+// Per-run values by timing key, null when the page has no user timings
+function extractUserTimingRuns(json, allowList = {}) {
+    const runs = (json?.browserScripts || []).map(run => run?.timings?.userTimings || {});
+    const statistics = json?.statistics?.timings?.userTimings;
+    if (!statistics) return null;
+
+    const values = {};
+    Object.keys(TIMING_TYPES).forEach(type => {
+        const allowed = nameMatcher(allowList[type]);
+        Object.keys(statistics[type] || {}).filter(allowed).forEach(name => {
+            values[timingKey(type, name)] = runs.map(run => {
+                const entry = (run[type] || []).find(e => e.name === name);
+                if (!entry) return null;
+                return type === 'marks' ? entry.startTime : entry.duration;
+            });
+        });
+    });
+    return values;
+}
+
+// Aggregate of every timing: the sitespeed.io statistics, p75 from the runs
+function extractUserTimings(json, aggregate = 'median', allowList = {}, runs = extractUserTimingRuns(json, allowList)) {
+    const statistics = json?.statistics?.timings?.userTimings;
+    if (!statistics) return null;
+
+    const timings = {};
+    Object.keys(TIMING_TYPES).forEach(type => {
+        const allowed = nameMatcher(allowList[type]);
+        Object.entries(statistics[type] || {}).filter(([name]) => allowed(name)).forEach(([name, stat]) => {
+            const key = timingKey(type, name);
+            let value = stat?.[aggregate] ?? null;
+            if (value == null && aggregate === 'p75' && runs?.[key]) {
+                value = quantile(runs[key].filter(v => v != null), 0.75);
+            }
+            timings[key] = value;
+        });
+    });
+    return timings;
+}
+
+module.exports = { extractUserTimingRuns, extractUserTimings };
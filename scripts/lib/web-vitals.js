@@ -0,0 +1,129 @@
+const { median, quantile } = require('./stats');
+
+// Google Web Vitals of a sitespeed.io summary JSON (page summary or summary-total):
+// the aggregate compared per release, the spread of the runs and the per-run values.
+
+// Report metric -> googleWebVitals key in the sitespeed.io JSON
+const metricKeys = {
+    TTFB: 'ttfb',
+    FCP: 'firstContentfulPaint',
+    LCP: 'largestContentfulPaint',
+    TBT: 'totalBlockingTime',
+    CLS: 'cumulativeLayoutShift'
+};
+
+const metricUnits = {
+    TTFB: 'ms',
+    FCP: 'ms',
+    LCP: 'ms',
+    TBT: 'ms',
+    CLS: ''
+};
+
+// Web Vitals thresholds: good up to "good", needs improvement up to "poor", poor above
+// (TBT has no official thresholds, these are the Lighthouse ones)
+const metricThresholds = {
+    TTFB: { good: 800, poor: 1800 },
+    FCP: { good: 1800, poor: 3000 },
+    LCP: { good: 2500, poor: 4000 },
+    TBT: { good: 200, poor: 600 },
+    CLS: { good: 0.1, poor: 0.25 }
+};
+
+// good / average / poor bucket of a metric value, like scoreRating for scores
+function metricRating(metric, value) {
+    const thresholds = metricThresholds[metric];
+    if (!thresholds || value == null) return null;
+    if (value <= thresholds.good) return 'good';
+    if (value <= thresholds.poor) return 'average';
+    return 'poor';
+}
+
+// Aggregates that can be compared: the summary statistics, p75 is computed from the runs
+const AGGREGATES = ['median', 'p75', 'p90', 'mean'];
+
+function webVitalsStatistics(json) {
+    return json.statistics?.googleWebVitals || (Array.isArray(json.googleWebVitals) ? {} : json.googleWebVitals) || {};
+}
+
+function extractMetrics(json, aggregate = 'median', runs = extractRuns(json)) {
+    const statistics = webVitalsStatistics(json);
+
+    return Object.fromEntries(Object.entries(metricKeys).map(([metric, key]) => {
+        const stat = statistics[key];
+        let value = stat?.[aggregate] ?? null;
+        if (value == null && aggregate === 'p75' && runs) {
+            value = quantile(runs[metric].filter(v => v != null), 0.75);
+        }
+        return [metric, value];
+    }));
+}
+
+// Spread of every metric: min / q1 / median / q3 / max for box plots, and the rsd.
+// Quartiles come from the runs, p10/p90 are used to draw the box when there are none.
+function extractDistribution(json, runs = extractRuns(json)) {
+    const statistics = webVitalsStatistics(json);
+
+    return Object.fromEntries(Object.entries(metricKeys).map(([metric, key]) => {
+        const stat = statistics[key];
+        if (!stat) return [metric, null];
+
+        const values = runs?.[metric].filter(v => v != null) || [];
+        const fromRuns = values.length > 1;
+        return [metric, {
+            min: stat.min,
+            q1: fromRuns ? quantile(values, 0.25) : stat.p10 ?? stat.median,
+            median: stat.median,
+            q3: fromRuns ? quantile(values, 0.75) : stat.p90 ?? stat.median,
+            max: stat.max,
+            rsd: stat.rsd ?? null
+        }];
+    }));
+}
+
+// Per-iteration values, only available in page summaries (not in summary-total)
+function extractRuns(json) {
+    const runs = Array.isArray(json.googleWebVitals) ? json.googleWebVitals : [];
+    if (runs.length === 0) return null;
+
+    return Object.fromEntries(Object.entries(metricKeys)
+        .map(([metric, key]) => [metric, runs.map(run => run?.[key] ?? null)]));
+}
+
+// Runs of several page summaries pooled per metric, null when none has runs
+function poolRuns(runsList) {
+    const withRuns = runsList.filter(Boolean);
+    if (withRuns.length === 0) return null;
+    return Object.fromEntries(Object.keys(metricKeys).map(m => [m, withRuns.flatMap(runs => runs[m])]));
+}
+
+// Summary statistics of the values of one metric, as browsertime writes them
+function runStatistics(values) {
+    const measured = values.filter(v => v != null);
+    if (measured.length === 0) return null;
+
+    const mean = measured.reduce((sum, v) => sum + v, 0) / measured.length;
+    const stddev = Math.sqrt(measured.reduce((sum, v) => sum + (v - mean) ** 2, 0) / measured.length);
+    return {
+        median: median(measured),
+        mean,
+        rsd: mean ? (stddev / mean) * 100 : 0,
+        stddev,
+        min: Math.min(...measured),
+        p10: quantile(measured, 0.1),
+        p90: quantile(measured, 0.9),
+        max: Math.max(...measured)
+    };
+}
+
+// Web Vitals of a browsertime.summary-total.json computed from pooled runs, for a release without
+// summary-total or whose summary-total no longer matches its pages (retried pages)
+function pooledSummary(runs) {
+    return {
+        googleWebVitals: Object.fromEntries(Object.entries(metricKeys)
+            .map(([metric, key]) => [key, runStatistics(runs[metric] || [])])
+            .filter(([, stat]) => stat))
+    };
+}
+
+module.exports = { metricKeys, metricUnits, metricThresholds, metricRating, AGGREGATES, webVitalsStatistics, extractMetrics, extractDistribution, extractRuns, poolRuns, runStatistics, pooledSummary };
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadSite, listSites } = require('./lib/sites');
+const { ROOT_DIR, siteDir, listReleases, releaseMetadata, releaseLabel } = require('./lib/releases');
+const { AGGREGATES } = require('./lib/web-vitals');
+const { escapeHtml } = require('./lib/format');
+const { comparisonOptions, buildComparison, renderHtml, renderCrossSiteHtml } = require('./compare-results');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+
+const usage = `Usage: node scripts/serve.js [options]
+
+Serves the release folders of every site and builds comparison reports on request.
+
+Options:
+  --port <port>     port to listen on (default: ${DEFAULT_PORT})
+  --host <host>     interface to listen on (default: ${DEFAULT_HOST}, use 0.0.0.0 to share the server on the network)
+
+Pages:
+  /                                     sites, releases and a form to build a comparison
+  /compare?site=<site>                  comparison report of a site, with the optional parameters
+                                        from, to (release range), baseline (release, best or median:<N>)
+                                        and aggregate (${AGGREGATES.join(', ')}), history=1 builds it from the
+                                        metrics history instead of the release folders
+  /compare?site=<site>&site=<site>      cross-site report
+  /<site folder>/<release>/             sitespeed.io report of a release`;
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.gz': 'application/gzip'
+};
+
+// ---- Helpers ----
+// Error answered with its HTTP status and message, any other error is a 500
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function send(res, status, body, contentType = contentTypes['.html']) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+function errorPage(status, message) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${status}</title>
+</head>
+<body style="font-family:sans-serif; background:#1f2937; color:#f9fafb; padding:20px;">
+  <h1>❌ ${status}</h1>
+  <p>${escapeHtml(message)}</p>
+  <p><a href="/" style="color:#93c5fd;">Back to the sites</a></p>
+</body>
+</html>`;
+}
+
+// Release folders of the report link to this server instead of the published reports
+function localReleaseUrl(site, { release }) {
+    return `/${encodeURIComponent(site.folder)}/${encodeURIComponent(release)}/`;
+}
+
+// Sites with their releases, newest first, and a form to build any comparison
+function homePage() {
+    const sites = listSites().map(name => loadSite(name));
+    const siteBlocks = sites.map(site => {
+        const baseDir = siteDir(site);
+        const releases = listReleases(baseDir);
+        const metadataByRelease = releaseMetadata(baseDir, releases);
+        const links = [...releases].reverse()
+            .map(r => `<a href="${localReleaseUrl(site, { release: r })}">${escapeHtml(releaseLabel(r, metadataByRelease[r]))}</a>`)
+            .join('\n          ');
+        const options = releases.map(r => `<option value="${escapeHtml(r)}">${escapeHtml(releaseLabel(r, metadataByRelease[r]))}</option>`).join('');
+        return `
+    <div class="panel">
+      <h2><a href="/compare?site=${encodeURIComponent(site.name)}">${escapeHtml(site.title)}</a></h2>
+      <p>Release reports:
+          ${links || 'no releases yet'}
+      </p>
+      <form action="/compare">
+        <input type="hidden" name="site" value="${escapeHtml(site.name)}">
+        <label>From <select name="from"><option value="">oldest</option>${options}</select></label>
+        <label>To <select name="to"><option value="">newest</option>${options}</select></label>
+        <label>Baseline <input name="baseline" placeholder="release, best or median:3" list="${escapeHtml(site.name)}-releases"></label>
+        <datalist id="${escapeHtml(site.name)}-releases"><option value="best"><option value="median:3">${options}</datalist>
+        <label>Aggregate <select name="aggregate">${AGGREGATES.map(a => `<option>${a}</option>`).join('')}</select></label>
+        <label><input type="checkbox" name="history" value="1"> From the metrics history</label>
+        <button type="submit">Compare</button>
+      </form>
+    </div>`;
+    }).join('');
+
+    const crossSite = sites.length > 1 ? `
+    <div class="panel">
+      <h2><a href="/compare?${sites.map(s => `site=${encodeURIComponent(s.name)}`).join('&')}">${sites.map(s => escapeHtml(s.title)).join(' vs ')}</a></h2>
+      <p>Cross-site report of the pages measured on more than one site.</p>
+    </div>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Release Performance Reports</title>
+  <style>
+    body { font-family:sans-serif; margin:0; padding:20px; background:#1f2937; color:#f9fafb; }
+    .panel { background:#111827; border-radius:12px; padding:16px 20px; margin-bottom:20px; }
+    a { color:#93c5fd; margin-right:10px; }
+    label { margin-right:12px; }
+    select, input, button { background:#374151; color:#f9fafb; border:1px solid #4b5563; border-radius:6px; padding:4px 8px; }
+    button { cursor:pointer; }
+  </style>
+</head>
+<body>
+  <h1>📊 Release Performance Reports</h1>
+${siteBlocks}${crossSite}
+</body>
+</html>`;
+}
+
+// /compare?site=homerun&from=release-28&to=release-30&baseline=best&aggregate=p75
+function comparePage(query) {
+    const siteNames = query.getAll('site').flatMap(value => value.split(',')).filter(Boolean);
+    if (siteNames.length === 0) throw httpError(400, `Please provide a site, e.g. /compare?site=${listSites()[0]}.`);
+
+    let sites, options;
+    try {
+        sites = siteNames.map(name => loadSite(name));
+        options = comparisonOptions(sites, {
+            aggregate: query.get('aggregate') || undefined,
+            baseline: query.get('baseline') || null,
+            from: query.get('from') || null,
+            to: query.get('to') || null,
+            history: ['1', 'true'].includes(query.get('history'))
+        });
+    } catch (e) {
+        throw httpError(400, e.message);
+    }
+
+    if (sites.length > 1) return renderCrossSiteHtml(sites.map(site => buildComparison(site, options)));
+    return renderHtml(buildComparison(sites[0], options), { releaseUrl: localReleaseUrl });
+}
+
+// File of a site folder for a URL path, null when the path is outside the site folders
+function resolveSiteFile(urlPath) {
+    const [folder] = urlPath.split('/').filter(Boolean);
+    const site = listSites().map(name => loadSite(name)).find(s => s.folder === folder);
+    if (!site) return null;
+
+    const baseDir = siteDir(site);
+    const file = path.join(ROOT_DIR, path.normalize(urlPath));
+    return file === baseDir || file.startsWith(`${baseDir}${path.sep}`) ? file : null;
+}
+
+function serveFile(req, res, urlPath) {
+    let file = resolveSiteFile(urlPath);
+    if (!file || !fs.existsSync(file)) throw httpError(404, `${urlPath} not found.`);
+
+    if (fs.statSync(file).isDirectory()) {
+        // relative links of the sitespeed.io report need the trailing slash
+        if (!urlPath.endsWith('/')) {
+            res.writeHead(301, { Location: `${encodeURI(urlPath)}/` });
+            res.end();
+            return;
+        }
+        file = path.join(file, 'index.html');
+        if (!fs.existsSync(file)) throw httpError(404, `${urlPath} has no index.html.`);
+    }
+
+    const { size } = fs.statSync(file);
+    const headers = {
+        'Content-Type': contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': size
+    };
+    if (req.method === 'HEAD') {
+        res.writeHead(200, headers);
+        res.end();
+        return;
+    }
+
+    // the file can go away before it is read (e.g. the retention policy running meanwhile)
+    const stream = fs.createReadStream(file);
+    stream.on('open', () => {
+        res.writeHead(200, headers);
+        stream.pipe(res);
+    });
+    stream.on('error', e => {
+        console.error(`❌ ${urlPath}:`, e.message);
+        if (res.headersSent) res.destroy(e);
+        else send(res, 500, errorPage(500, `${urlPath} could not be read.`));
+    });
+}
+
+function handleRequest(req, res) {
+    const started = Date.now();
+    res.on('finish', () => console.log(`${res.statusCode} ${req.method} ${req.url} (${Date.now() - started} ms)`));
+
+    try {
+        if (!['GET', 'HEAD'].includes(req.method)) throw httpError(405, `${req.method} is not supported.`);
+
+        const url = new URL(req.url, 'http://localhost');
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(url.pathname);
+        } catch {
+            throw httpError(400, `Invalid path ${url.pathname}.`);
+        }
+
+        if (urlPath === '/') send(res, 200, homePage());
+        else if (urlPath === '/compare') send(res, 200, comparePage(url.searchParams));
+        else serveFile(req, res, urlPath);
+    } catch (e) {
+        if (!e.status) console.error(`❌ ${req.url}:`, e);
+        const status = e.status || 500;
+        send(res, status, errorPage(status, e.status ? e.message : 'The report could not be built, see the server log.'));
+    }
+}
+
+// ---- Main ----
+let port, host;
+try {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: `${DEFAULT_PORT}` },
+            host: { type: 'string', default: DEFAULT_HOST }
+        }
+    });
+    port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port "${values.port}".`);
+    host = values.host;
+} catch (e) {
+    console.error(`❌ ${e.message}\n`);
+    console.log(usage);
+    process.exit(1);
+}
+
+const server = http.createServer(handleRequest);
+server.on('error', e => {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+});
+server.listen(port, host, () => {
+    console.log(`✅ Serving the reports on http://${host}:${server.address().port}/ (Ctrl+C to stop)`);
+});
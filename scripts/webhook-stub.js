@@ -0,0 +1,59 @@
+const http = require('http');
+const { parseArgs } = require('util');
+
+const DEFAULT_PORT = 9000;
+
+const usage = `Usage: node scripts/webhook-stub.js [options]
+
+Local stand-in for a Slack or Teams webhook: prints every payload posted to it, to try the
+notifications of the runner (--notify) without posting to a real channel.
+
+Options:
+  --port <port>     port to listen on (default: ${DEFAULT_PORT})
+  --status <code>   HTTP status to answer with, e.g. 500 to try a failing webhook (default: 200)
+
+Example: HOMERUN_SLACK_WEBHOOK_URL=http://127.0.0.1:${DEFAULT_PORT}/slack node scripts/e2e-speed.js --site homerun release-30 --report-only --notify`;
+
+// ---- Main ----
+let port, status;
+try {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: `${DEFAULT_PORT}` },
+            status: { type: 'string', default: '200' }
+        }
+    });
+    port = Number(values.port);
+    status = Number(values.status);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port "${values.port}".`);
+    if (!Number.isInteger(status) || status < 200 || status > 599) throw new Error(`Invalid status "${values.status}".`);
+} catch (e) {
+    console.error(`❌ ${e.message}\n`);
+    console.log(usage);
+    process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        let printed = body;
+        try {
+            printed = JSON.stringify(JSON.parse(body), null, 2);
+        } catch {
+            console.warn('⚠️ The body is not JSON');
+        }
+        console.log(`\n📨 ${req.method} ${req.url} (${req.headers['content-type'] || 'no content type'})\n${printed}`);
+
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(status < 300 ? 'ok' : 'stub error');
+    });
+});
+server.on('error', e => {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+});
+server.listen(port, '127.0.0.1', () => {
+    console.log(`✅ Webhook stub listening on http://127.0.0.1:${server.address().port}/ (Ctrl+C to stop)`);
+});
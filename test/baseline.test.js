@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBaseline, baselineValue } = require('../scripts/lib/baseline');
+
+const releases = ['release-27', 'release-28', 'release-29', 'release-30', 'release-31'];
+const metadataByRelease = { 'release-28': { label: 'p1-release-28' }, 'release-29': null };
+// LCP per release, release-29 was not measured
+const lcp = { 'release-27': 2600, 'release-28': 2100, 'release-29': null, 'release-30': 2900, 'release-31': 2400 };
+const score = { 'release-27': 70, 'release-28': 81, 'release-29': null, 'release-30': 64, 'release-31': 77 };
+
+test('without a baseline every release is compared with the previous one only', () => {
+    assert.equal(parseBaseline(null, releases), null);
+    assert.equal(parseBaseline(undefined, releases), null);
+});
+
+test('a pinned release by folder name or label', () => {
+    const byName = parseBaseline('release-28', releases, metadataByRelease);
+    assert.deepEqual(byName, { type: 'release', release: 'release-28', label: 'p1-release-28' });
+    assert.deepEqual(parseBaseline('p1-release-28', releases, metadataByRelease), byName);
+
+    assert.deepEqual(baselineValue(byName, releases, 'release-31', lcp), { value: 2100, releases: ['release-28'] });
+    // the pinned release itself and releases compared with an unmeasured pin have no baseline
+    assert.equal(baselineValue(byName, releases, 'release-28', lcp), null);
+    assert.equal(baselineValue(parseBaseline('release-29', releases), releases, 'release-31', lcp), null);
+});
+
+test('a pinned release that does not exist', () => {
+    assert.throws(() => parseBaseline('release-26', releases, metadataByRelease),
+        { message: 'Unknown baseline "release-26", use a release (release-27, release-28, release-29, release-30, release-31), best or median:<N>.' });
+    // labels only match the release they belong to
+    assert.throws(() => parseBaseline('p1-release-29', releases, metadataByRelease), /Unknown baseline "p1-release-29"/);
+    assert.throws(() => parseBaseline('median:0', releases), /at least 1 release/);
+});
+
+test('best so far: the best measured release before each release', () => {
+    const best = parseBaseline('best', releases);
+    assert.deepEqual(best, { type: 'best', label: 'best so far' });
+
+    assert.equal(baselineValue(best, releases, 'release-27', lcp), null);
+    assert.deepEqual(baselineValue(best, releases, 'release-28', lcp), { value: 2600, releases: ['release-27'] });
+    // lowest value for a metric, not a later release
+    assert.deepEqual(baselineValue(best, releases, 'release-31', lcp), { value: 2100, releases: ['release-28'] });
+    // highest value for the score
+    assert.deepEqual(baselineValue(best, releases, 'release-31', score, true), { value: 81, releases: ['release-28'] });
+    assert.deepEqual(baselineValue(best, releases, 'release-28', score, true), { value: 70, releases: ['release-27'] });
+});
+
+test('rolling median of the last measured releases', () => {
+    const rolling = parseBaseline('median:2', releases);
+    assert.deepEqual(rolling, { type: 'rolling', count: 2, label: 'median of last 2' });
+
+    // release-29 was not measured: release-28 and release-30
+    assert.deepEqual(baselineValue(rolling, releases, 'release-31', lcp), { value: 2500, releases: ['release-28', 'release-30'] });
+    assert.deepEqual(baselineValue(rolling, releases, 'release-28', lcp), { value: 2600, releases: ['release-27'] });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkBudgets, writeJUnit } = require('../scripts/lib/budgets');
+
+const releases = ['release-29', 'release-30'];
+const metric = (name, value, pct = null, verdict = null) => ({ metric: name, value, unit: name === 'CLS' ? '' : 'ms', pct, significance: verdict ? { verdict } : null });
+
+// Comparison of two releases: the homepage within its budgets, the PDP over the LCP budget, with a
+// significant regression and a low score, the checkout measured before but not in the last release
+const allResults = [
+    {
+        section: 'HOMEPAGE', alias: 'HOMEPAGE',
+        results: { 'release-29': [metric('LCP', 1200)], 'release-30': [metric('LCP', 1300, 8.33, 'regression'), metric('CLS', 0.05, 25, 'noise')] },
+        scoreByRelease: { 'release-30': 92 }
+    },
+    {
+        section: 'Product page', alias: 'PDP',
+        results: { 'release-29': [metric('LCP', 3400)], 'release-30': [metric('LCP', 4300, 26.47, 'regression')] },
+        scoreByRelease: { 'release-30': 48 }
+    },
+    { section: 'Checkout', alias: 'CHECKOUT', results: { 'release-29': [metric('LCP', 2000)], 'release-30': [] }, scoreByRelease: {} },
+    // never measured in the compared releases: nothing to check
+    { section: 'Search', alias: 'SEARCH', results: {}, scoreByRelease: {} }
+];
+const budgets = { metrics: { LCP: 4000, CLS: 0.25 }, maxRegressionPct: 10, minScore: 50 };
+
+const summary = ({ section, name, passed }) => [section, name, passed];
+
+test('budgets of the last release pass and fail per check', () => {
+    const result = checkBudgets(allResults, releases, budgets);
+
+    assert.equal(result.release, 'release-30');
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.checks.map(summary), [
+        ['HOMEPAGE', 'LCP <= 4000 ms', true],
+        ['HOMEPAGE', 'LCP regression <= 10%', true],
+        ['HOMEPAGE', 'CLS <= 0.25', true],
+        // +25% but within the run-to-run noise
+        ['HOMEPAGE', 'CLS regression <= 10%', true],
+        ['HOMEPAGE', 'Performance score >= 50', true],
+        ['Product page', 'LCP <= 4000 ms', false],
+        ['Product page', 'LCP regression <= 10%', false],
+        ['Product page', 'Performance score >= 50', false],
+        ['Checkout', 'Measured in the last release', false]
+    ]);
+    assert.deepEqual(result.violations.map(({ message }) => message), [
+        'LCP is 4300 ms, budget is 4000 ms',
+        'LCP changed by +26.47% vs previous release, allowed is +10%',
+        'Performance score is 48, minimum is 50',
+        'Checkout was not measured in release-30'
+    ]);
+});
+
+test('section budgets override the defaults by name or alias', () => {
+    const result = checkBudgets(allResults.slice(0, 2), releases, {
+        ...budgets,
+        sections: { 'Product page': { metrics: { LCP: 4500 } }, PDP: { minScore: 0 }, HOMEPAGE: { maxRegressionPct: { LCP: 5 } } }
+    });
+    // the display name wins over the alias, so the PDP keeps the default minimum score
+    assert.deepEqual(result.checks.filter(({ passed }) => !passed).map(summary), [
+        // +8.33% is a significant regression over the 5% of the homepage
+        ['HOMEPAGE', 'LCP regression <= 5%', false],
+        ['Product page', 'LCP regression <= 10%', false],
+        ['Product page', 'Performance score >= 50', false]
+    ]);
+    assert.ok(result.checks.some(({ section, name, passed }) => section === 'Product page' && name === 'LCP <= 4500 ms' && passed));
+});
+
+test('a budgeted page never measured in the compared releases fails the check', () => {
+    const result = checkBudgets(allResults.slice(3), releases, { ...budgets, sections: { SEARCH: { minScore: 80 } } });
+    assert.deepEqual(result.checks.map(summary), [['Search', 'Measured in the last release', false]]);
+    assert.equal(checkBudgets(allResults.slice(3), releases, budgets).passed, true);
+});
+
+// Elements of the JUnit XML with their attributes unescaped
+function parseJUnit(xml) {
+    const unescape = value => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    return [...xml.matchAll(/<(testsuites|testsuite|testcase|failure)\b([^>]*)>/g)].map(([, element, attributes]) => ({
+        element,
+        ...Object.fromEntries([...attributes.matchAll(/(\w+)="([^"<>]*)"/g)].map(([, name, value]) => [name, unescape(value)]))
+    }));
+}
+
+test('the JUnit report has a suite per section and escapes the names and messages', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    const file = path.join(dir, 'budget-results.xml');
+
+    const result = checkBudgets([
+        { ...allResults[1], section: 'Product & "accessories" <pl>' },
+        allResults[0]
+    ], releases, budgets);
+    writeJUnit("Tom's shop", result, file);
+
+    const xml = fs.readFileSync(file, 'utf8');
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites /);
+    assert.deepEqual(parseJUnit(xml).map(({ element, name, tests, failures, classname, message }) => ({ element, name, tests, failures, classname, message })), [
+        { element: 'testsuites', name: 'Performance budgets', tests: '8', failures: '3', classname: undefined, message: undefined },
+        { element: 'testsuite', name: 'Tom\'s shop release-30: Product & "accessories" <pl>', tests: '3', failures: '3', classname: undefined, message: undefined },
+        { element: 'testcase', name: 'LCP <= 4000 ms', tests: undefined, failures: undefined, classname: 'Tom\'s shop.Product & "accessories" <pl>', message: undefined },
+        { element: 'failure', name: undefined, tests: undefined, failures: undefined, classname: undefined, message: 'LCP is 4300 ms, budget is 4000 ms' },
+        { element: 'testcase', name: 'LCP regression <= 10%', tests: undefined, failures: undefined, classname: 'Tom\'s shop.Product & "accessories" <pl>', message: undefined },
+        { element: 'failure', name: undefined, tests: undefined, failures: undefined, classname: undefined, message: 'LCP changed by +26.47% vs previous release, allowed is +10%' },
+        { element: 'testcase', name: 'Performance score >= 50', tests: undefined, failures: undefined, classname: 'Tom\'s shop.Product & "accessories" <pl>', message: undefined },
+        { element: 'failure', name: undefined, tests: undefined, failures: undefined, classname: undefined, message: 'Performance score is 48, minimum is 50' },
+        { element: 'testsuite', name: 'Tom\'s shop release-30: HOMEPAGE', tests: '5', failures: '0', classname: undefined, message: undefined },
+        ...['LCP <= 4000 ms', 'LCP regression <= 10%', 'CLS <= 0.25', 'CLS regression <= 10%', 'Performance score >= 50']
+            .map(name => ({ element: 'testcase', name, tests: undefined, failures: undefined, classname: 'Tom\'s shop.HOMEPAGE', message: undefined }))
+    ]);
+});
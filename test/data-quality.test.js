@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { releaseIterations, checkDataQuality } = require('../scripts/lib/data-quality');
+
+test('runs per page of a release from its release.json, else its settings.html', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-quality-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const settings = runs => `<table><tr> <td>Connectivity</td><td>4g</td></tr><tr> <td>Number of runs</td><td>${runs}</td></tr></table>`;
+
+    ['release-1', 'release-2', 'release-3'].forEach(release => fs.mkdirSync(path.join(dir, release)));
+    fs.writeFileSync(path.join(dir, 'release-1', 'settings.html'), settings(1), 'utf8');
+    fs.writeFileSync(path.join(dir, 'release-2', 'release.json'), JSON.stringify({ release: 'release-2', iterations: 10 }), 'utf8');
+    fs.writeFileSync(path.join(dir, 'release-2', 'settings.html'), settings(5), 'utf8');
+
+    assert.equal(releaseIterations(path.join(dir, 'release-1')), 1);
+    assert.equal(releaseIterations(path.join(dir, 'release-2')), 10);
+    assert.equal(releaseIterations(path.join(dir, 'release-3')), null);
+});
+
+test('runs are checked against the runs per page of every release', () => {
+    const quality = runs => ({ readable: true, markedAsFailure: false, failureMessages: [], errors: [], runs });
+    const releases = ['release-1', 'release-2', 'release-3'];
+    const allResults = [
+        { section: 'GLOBAL Website Performance', alias: 'GLOBAL', qualityByRelease: { 'release-1': quality(null), 'release-2': quality(null), 'release-3': quality(null) } },
+        { section: 'PDP', alias: 'PDP', qualityByRelease: { 'release-1': quality(1), 'release-2': quality(8), 'release-3': quality(2) } }
+    ];
+
+    // release-1 was tested with 1 run, release-3 with an unknown number
+    assert.deepEqual(checkDataQuality({ releases, allResults }, { 'release-1': 1, 'release-2': 10, 'release-3': null }), [
+        { release: 'release-2', section: 'PDP', type: 'runs', message: '8 of 10 runs' }
+    ]);
+    assert.deepEqual(checkDataQuality({ releases, allResults }), []);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatValue } = require('../scripts/lib/format');
+
+test('metric values are formatted by unit', () => {
+    assert.equal(formatValue(1234.5, 'ms'), '1235 ms');
+    assert.equal(formatValue(-20.4, 'ms'), '-20 ms');
+    assert.equal(formatValue(2.345, 'count'), '2.3');
+    assert.equal(formatValue(4, 'count'), '4');
+    assert.equal(formatValue(0.04123, ''), '0.041');
+    assert.equal(formatValue(null, 'ms'), '-');
+});
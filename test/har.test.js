@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { baseDomain, summarizeHar } = require('../scripts/lib/har');
+
+test('registrable domain of a host', () => {
+    assert.equal(baseDomain('www.baristina.com'), 'baristina.com');
+    assert.equal(baseDomain('www.home-appliances.philips'), 'home-appliances.philips');
+    assert.equal(baseDomain('shop.example.co.uk'), 'example.co.uk');
+    assert.equal(baseDomain('static.cdn.example.com.au'), 'example.com.au');
+    assert.equal(baseDomain('localhost'), 'localhost');
+});
+
+// HAR entry of one run with the given request and response headers
+function entry(url, { status = 200, bytes = 1000, mimeType = 'text/javascript', requestHeaders = {}, headers = {}, ...response } = {}) {
+    const toHar = object => Object.entries(object).map(([name, value]) => ({ name, value }));
+    return {
+        pageref: 'page_1',
+        request: { url, headers: toHar(requestHeaders) },
+        response: { status, headers: toHar(headers), _transferSize: bytes, content: { size: bytes, mimeType }, ...response }
+    };
+}
+
+const summarize = (entries, options) => summarizeHar({ log: { pages: [{ id: 'page_1', _url: 'https://shop.example.co.uk/' }], entries } }, options);
+
+test('first and third parties of a page under a multi-label suffix', () => {
+    const summary = summarize([
+        entry('https://shop.example.co.uk/', { mimeType: 'text/html' }),
+        entry('https://static.example.co.uk/app.js'),
+        entry('https://www.other.co.uk/tag.js'),
+        entry('https://cdn.tracker.com/t.js')
+    ]);
+
+    assert.deepEqual(summary.firstPartyDomains, ['example.co.uk']);
+    assert.deepEqual(summary.byParty, { firstParty: { requests: 2, transferBytes: 2000 }, thirdParty: { requests: 2, transferBytes: 2000 } });
+    assert.deepEqual(Object.fromEntries(Object.entries(summary.byDomain).map(([domain, { party }]) => [domain, party])), {
+        'shop.example.co.uk': 'firstParty',
+        'static.example.co.uk': 'firstParty',
+        'www.other.co.uk': 'thirdParty',
+        'cdn.tracker.com': 'thirdParty'
+    });
+
+    // configured domains match the host and the hosts below it
+    const configured = summarize([entry('https://shop.example.co.uk/'), entry('https://images.philips.com/a.png'), entry('https://philips.com.evil.net/x.js')],
+        { firstPartyDomains: ['example.co.uk', 'philips.com'] });
+    assert.equal(configured.byParty.firstParty.requests, 2);
+});
+
+test('only real cache indicators count as cache hits', () => {
+    const hits = [
+        entry('https://shop.example.co.uk/a.js', { _fromCache: 'disk' }),
+        entry('https://shop.example.co.uk/b.js', { bytes: 0, content: { size: 5000, mimeType: 'text/javascript' } }),
+        entry('https://shop.example.co.uk/c.js', { status: 304, bytes: 300, requestHeaders: { 'If-None-Match': '"abc"' } }),
+        entry('https://shop.example.co.uk/d.js', { headers: { 'X-Cache': 'Hit from cloudfront' } }),
+        entry('https://shop.example.co.uk/e.js', { headers: { 'cf-cache-status': 'HIT' } }),
+        entry('https://shop.example.co.uk/f.js', { headers: { 'x-cache': 'TCP_MEM_HIT' } })
+    ];
+    const misses = [
+        // a 304 without a conditional request, an Age header alone, CDN misses
+        entry('https://shop.example.co.uk/g.js', { status: 304, bytes: 300 }),
+        entry('https://shop.example.co.uk/h.js', { headers: { age: '120' } }),
+        entry('https://shop.example.co.uk/i.js', { headers: { 'x-cache': 'MISS, HIT' } }),
+        entry('https://shop.example.co.uk/j.js', { headers: { 'cf-cache-status': 'DYNAMIC', age: '0' } })
+    ];
+
+    assert.equal(summarize(hits).cacheHitRatio, 1);
+    assert.equal(summarize(misses).cacheHitRatio, 0);
+    assert.equal(summarize([...hits, ...misses]).cacheHitRatio, 0.6);
+});
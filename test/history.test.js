@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT_DIR } = require('../scripts/lib/releases');
+const { readHistory, historyReleases, compactHistory, recordRelease } = require('../scripts/lib/history');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.pageSummary.json`), 'utf8');
+
+// Site with two releases of two pages each, its history in the same temporary folder
+function tempSite(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'warn', () => {});
+
+    ['release-1', 'release-2'].forEach((release, idx) => {
+        [['HOMEPAGE', 'fast'], ['PDP', 'slow']].forEach(([alias, name]) => {
+            const file = path.join(dir, 'site', release, 'pages', 'www_example_com', alias, 'data', 'browsertime.pageSummary.json');
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, fixture(name), 'utf8');
+        });
+        fs.writeFileSync(path.join(dir, 'site', release, 'release.json'),
+            JSON.stringify({ release, label: `p1-${release}`, date: `2025-10-0${idx + 1}T10:00:00.000Z` }), 'utf8');
+    });
+
+    return {
+        name: 'example',
+        // site folders are relative to the repository root
+        folder: path.relative(ROOT_DIR, path.join(dir, 'site')),
+        history: path.join(dir, 'history', 'example.jsonl'),
+        sections: [{ name: 'Product page', alias: 'PDP', url: 'https://www.example.com/pl/pl/p/EP5546_70' }]
+    };
+}
+
+const lineCount = site => fs.readFileSync(site.history, 'utf8').trim().split('\n').length;
+
+test('a release is recorded with its global summary and pages', t => {
+    const site = tempSite(t);
+    const records = recordRelease(site, 'release-1');
+
+    // GLOBAL pooled from the pages (no summary-total), then the sections of the site definition first
+    assert.deepEqual(records.map(({ alias, section, source }) => [alias, section, source]), [
+        ['GLOBAL', 'GLOBAL Website Performance', 'pooled runs'],
+        ['PDP', 'Product page', 'pageSummary'],
+        ['HOMEPAGE', 'HOMEPAGE', 'pageSummary']
+    ]);
+    assert.equal(records[0].runs.TTFB.length, 6);
+    assert.deepEqual(records[1].aggregates.median, { TTFB: 1100, FCP: 2400, LCP: 4300, TBT: 700, CLS: 0.18 });
+    assert.equal(records[1].metadata.label, 'p1-release-1');
+    assert.equal(lineCount(site), 3);
+});
+
+test('recording a release again replaces its lines', t => {
+    const site = tempSite(t);
+    recordRelease(site, 'release-2');
+    recordRelease(site, 'release-1');
+    recordRelease(site, 'release-2');
+
+    assert.equal(lineCount(site), 6);
+    const records = readHistory(site);
+    assert.equal(records.length, 6);
+    // the file is rewritten oldest release first
+    assert.deepEqual([...new Set(records.map(r => r.release))], ['release-1', 'release-2']);
+    assert.deepEqual(historyReleases(records).releases, ['release-1', 'release-2']);
+});
+
+test('compaction keeps only the latest import of every release', t => {
+    const site = tempSite(t);
+    recordRelease(site, 'release-1');
+    recordRelease(site, 'release-2');
+    const lines = fs.readFileSync(site.history, 'utf8');
+    // an older import of release-1 and the same lines twice, as after merging two branches, and a broken line
+    const older = lines.split('\n').filter(line => line.includes('"release-1"'))
+        .map(line => line.replace(/"importedAt":"[^"]+"/, '"importedAt":"2000-01-01T00:00:00.000Z"'));
+    fs.writeFileSync(site.history, `${older.join('\n')}\n${lines}${lines}{"release":\n`, 'utf8');
+
+    assert.equal(readHistory(site).length, 6);
+    assert.equal(compactHistory(site), 9);
+    assert.equal(lineCount(site), 6);
+    assert.equal(compactHistory(site), 0);
+});
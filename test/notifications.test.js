@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { buildSummary, sendNotifications } = require('../scripts/lib/notifications');
+
+// Comparison export (lib/exporters.js buildExport) of two releases, the PDP LCP regressed
+const exportData = {
+    site: 'homerun',
+    title: 'Homerun',
+    aggregate: 'median',
+    releases: ['release-29', 'release-30'],
+    releaseLabels: { 'release-29': 'p1-release-29', 'release-30': 'p1-release-30' },
+    sections: [
+        {
+            section: 'HOMEPAGE',
+            releases: {
+                'release-29': { measured: true, score: 91, scoreDiff: null, metrics: {} },
+                'release-30': { measured: true, score: 92, scoreDiff: 1, metrics: { LCP: { value: 1180, unit: 'ms', diff: -20, pct: -1.7, significance: 'noise' } } }
+            }
+        },
+        {
+            section: 'PDP',
+            releases: {
+                'release-29': { measured: true, score: 61, scoreDiff: null, metrics: {} },
+                'release-30': { measured: true, score: 48, scoreDiff: -13, metrics: { LCP: { value: 4300, unit: 'ms', diff: 900, pct: 26.5, significance: 'regression' } } }
+            }
+        }
+    ]
+};
+const site = { name: 'homerun', releaseBaseUrl: 'https://reports.example.com/homerun/' };
+
+// Local webhook that records every request and answers with the status of its path (/status/500)
+function startWebhook(t) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ url: req.url, contentType: req.headers['content-type'], body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+            const status = Number(/\/status\/(\d+)/.exec(req.url)?.[1] || 200);
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status < 300 ? 'ok' : 'webhook error');
+        });
+    });
+    t.after(() => server.close());
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ requests, baseUrl: `http://127.0.0.1:${server.address().port}` })));
+}
+
+// The console output of the notifications is not part of the test
+function silenceConsole(t) {
+    ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+test('summary of the last release', () => {
+    const summary = buildSummary(exportData, site);
+    assert.equal(summary.headline, 'Homerun p1-release-30 vs p1-release-29: 1 significant regression(s)');
+    assert.equal(summary.reportUrl, 'https://reports.example.com/homerun/release-30/');
+    assert.equal(summary.pagesText, '🟢 HOMEPAGE: 92 (+1)\n🔴 PDP: 48 (-13)');
+    assert.equal(summary.regressionsText, '🔴 PDP LCP: 4300 ms (+26.5%)');
+});
+
+test('Slack and Teams payloads are posted to their webhooks', async t => {
+    silenceConsole(t);
+    const { requests, baseUrl } = await startWebhook(t);
+    process.env.TEST_SLACK_WEBHOOK_URL = `${baseUrl}/slack`;
+    t.after(() => { delete process.env.TEST_SLACK_WEBHOOK_URL; });
+
+    const summary = buildSummary(exportData, site);
+    const results = await sendNotifications({
+        ...site,
+        notifications: [
+            { name: 'Slack', format: 'slack', url: '${TEST_SLACK_WEBHOOK_URL}' },
+            { name: 'Teams', format: 'teams', url: `${baseUrl}/teams` }
+        ]
+    }, summary);
+
+    assert.deepEqual(results, [{ name: 'Slack', status: 'sent' }, { name: 'Teams', status: 'sent' }]);
+    assert.deepEqual(requests.map(({ url, contentType }) => [url, contentType]), [['/slack', 'application/json'], ['/teams', 'application/json']]);
+
+    // Slack: Block Kit message with the headline as notification text
+    const slack = requests[0].body;
+    assert.equal(slack.text, summary.headline);
+    assert.deepEqual(slack.blocks.map(block => block.type), ['header', 'section', 'section', 'section']);
+    assert.equal(slack.blocks[0].text.text, '📊 Homerun p1-release-30');
+    assert.match(slack.blocks[1].text.text, /🔴 PDP: 48 \(-13\)/);
+    assert.match(slack.blocks[2].text.text, /^\*Top regressions \(1\)\*\n🔴 PDP LCP/);
+    assert.equal(slack.blocks[3].text.text, '<https://reports.example.com/homerun/release-30/|Open the release report>');
+
+    // Teams: Adaptive Card in a message attachment
+    const teams = requests[1].body;
+    assert.equal(teams.type, 'message');
+    assert.equal(teams.attachments.length, 1);
+    assert.equal(teams.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+    const card = teams.attachments[0].content;
+    assert.equal(card.type, 'AdaptiveCard');
+    assert.equal(card.body[0].text, '📊 Homerun p1-release-30');
+    assert.equal(card.body[2].text, '🟢 HOMEPAGE: 92 (+1)\n\n🔴 PDP: 48 (-13)');
+    assert.deepEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Open the release report', url: 'https://reports.example.com/homerun/release-30/' }]);
+});
+
+test('a failing webhook is reported and the others are still sent', async t => {
+    silenceConsole(t);
+    const { requests, baseUrl } = await startWebhook(t);
+
+    const results = await sendNotifications({
+        ...site,
+        notifications: [
+            { name: 'Broken', format: 'slack', url: `${baseUrl}/status/500` },
+            { name: 'Unset', format: 'slack', url: '${TEST_UNSET_WEBHOOK_URL}' },
+            { name: 'Teams', format: 'teams', url: `${baseUrl}/teams` }
+        ]
+    }, buildSummary(exportData, site));
+
+    assert.deepEqual(results, [
+        { name: 'Broken', status: 'failed', error: 'HTTP 500: webhook error' },
+        { name: 'Unset', status: 'skipped' },
+        { name: 'Teams', status: 'sent' }
+    ]);
+    assert.deepEqual(requests.map(({ url }) => url), ['/status/500', '/teams']);
+});
+
+test('a templated payload is posted with the summary fields substituted', async t => {
+    silenceConsole(t);
+    const { requests, baseUrl } = await startWebhook(t);
+    // a template whose strings are only a placeholder take the value as is, missing values become null
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const rawTemplate = path.join(dir, 'raw.json');
+    fs.writeFileSync(rawTemplate, JSON.stringify({ count: '{{regressionCount}}', regressions: '{{regressions}}', first: '{{regressions.0.metric}} of {{regressions.0.section}}', missing: '{{unknown}}' }), 'utf8');
+
+    const results = await sendNotifications({
+        ...site,
+        notifications: [
+            { name: 'Compact', template: 'scripts/notifications/slack-compact.json', url: `${baseUrl}/compact` },
+            { name: 'Raw', template: rawTemplate, url: `${baseUrl}/raw` }
+        ]
+    }, buildSummary(exportData, site));
+
+    assert.deepEqual(results, [{ name: 'Compact', status: 'sent' }, { name: 'Raw', status: 'sent' }]);
+    assert.deepEqual(requests[0].body, {
+        text: 'Homerun p1-release-30 vs p1-release-29: 1 significant regression(s)',
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: '*Homerun p1-release-30* (median)\n🟢 HOMEPAGE: 92 (+1)\n🔴 PDP: 48 (-13)' } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: '1 significant regression(s) · <https://reports.example.com/homerun/release-30/|release report>' }] }
+        ]
+    });
+    assert.deepEqual(requests[1].body, {
+        count: 1,
+        regressions: [{ section: 'PDP', metric: 'LCP', value: 4300, unit: 'ms', diff: 900, pct: 26.5 }],
+        first: 'LCP of PDP',
+        missing: null
+    });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findFailedPages, mergePages, rebuildSummaryTotal } = require('../scripts/lib/page-runs');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.pageSummary.json`), 'utf8'));
+
+function writeSummary(outputDir, alias, json) {
+    const file = path.join(outputDir, 'pages', 'www_example_com', alias, 'data', 'browsertime.pageSummary.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(json), 'utf8');
+}
+
+const urls = [
+    { url: 'https://www.example.com/pl/pl/', alias: 'HOMEPAGE' },
+    { url: 'https://www.example.com/pl/pl/p/EP5546_70', alias: 'PDP' }
+];
+
+// Output folder of a run where the PDP failed, and a retry where it succeeded
+function failedRun(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-runs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const outputDir = path.join(dir, 'release-31');
+    const retryDir = path.join(dir, 'release-31-retry-1');
+    writeSummary(outputDir, 'HOMEPAGE', fixture('fast'));
+    writeSummary(outputDir, 'PDP', { ...fixture('slow'), markedAsFailure: 1, failureMessages: ['Timeout'], googleWebVitals: [] });
+    // summary-total of the first attempt, without the PDP runs
+    fs.mkdirSync(path.join(outputDir, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'data', 'browsertime.summary-total.json'),
+        JSON.stringify({ googleWebVitals: { ttfb: { median: 350, max: 390 } }, cpu: { longTasks: { tasks: { median: 4 } } }, pageinfo: { documentHeight: { median: 5400 } } }), 'utf8');
+
+    const retried = fixture('slow');
+    retried.info = { ...retried.info, timestamp: '2025-10-01T11:00:00.000Z' };
+    writeSummary(retryDir, 'PDP', retried);
+
+    return { outputDir, retryDir };
+}
+
+test('a successful retry replaces the failed page', t => {
+    const { outputDir, retryDir } = failedRun(t);
+    const failed = findFailedPages(outputDir, urls);
+    assert.deepEqual(failed.map(({ alias, reason }) => [alias, reason]), [['PDP', 'Timeout']]);
+
+    assert.deepEqual(mergePages(retryDir, outputDir, failed).map(({ alias }) => alias), ['PDP']);
+    assert.deepEqual(findFailedPages(outputDir, urls), []);
+
+    const merged = JSON.parse(fs.readFileSync(path.join(outputDir, 'pages', 'www_example_com', 'PDP', 'data', 'browsertime.pageSummary.json'), 'utf8'));
+    assert.equal(merged.info.timestamp, '2025-10-01T11:00:00.000Z');
+});
+
+test('a retry that failed again is not merged', t => {
+    const { outputDir, retryDir } = failedRun(t);
+    writeSummary(retryDir, 'PDP', { ...fixture('slow'), markedAsFailure: 1, failureMessages: ['Timeout'] });
+
+    assert.deepEqual(mergePages(retryDir, outputDir, findFailedPages(outputDir, urls)), []);
+    assert.deepEqual(findFailedPages(outputDir, urls).map(({ alias }) => alias), ['PDP']);
+});
+
+test('the Web Vitals of summary-total are rebuilt from the runs of the merged pages', t => {
+    const { outputDir, retryDir } = failedRun(t);
+    mergePages(retryDir, outputDir, findFailedPages(outputDir, urls));
+
+    const summary = rebuildSummaryTotal(outputDir);
+    const written = JSON.parse(fs.readFileSync(path.join(outputDir, 'data', 'browsertime.summary-total.json'), 'utf8'));
+    assert.deepEqual(written, summary);
+    // 3 runs of each page: TTFB 310, 350, 390 and 900, 1100, 1250
+    assert.equal(summary.googleWebVitals.ttfb.median, 645);
+    assert.equal(summary.googleWebVitals.ttfb.max, 1250);
+    assert.equal(summary.googleWebVitals.largestContentfulPaint.min, 1150);
+    // the totals that can not be rebuilt from the pages are kept
+    assert.deepEqual(summary.cpu, { longTasks: { tasks: { median: 4 } } });
+    assert.deepEqual(summary.pageinfo, { documentHeight: { median: 5400 } });
+});
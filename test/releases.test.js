@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sortReleases, listReleases, releaseRange } = require('../scripts/lib/releases');
+
+// Some releases with a run date (UTC or with the test machine offset), some with metadata but no date, some without metadata
+const metadataByRelease = {
+    'release-2': { date: '2025-09-01T12:00:00+03:00' },
+    'release-3': { date: '2025-09-01T09:00:00.000Z' },
+    'release-10': { date: '2025-10-01T08:00:00.000Z', label: 'p1-release-10' },
+    'release-1': { date: '2025-10-01T08:00:00.000Z' },
+    'release-11': { label: 'p1-release-11' },
+    'release-9': null
+};
+const expected = ['release-9', 'release-11', 'release-2', 'release-3', 'release-1', 'release-10'];
+
+// Every order of the list
+function permutations(list) {
+    if (list.length <= 1) return [list];
+    return list.flatMap((item, idx) => permutations([...list.slice(0, idx), ...list.slice(idx + 1)]).map(rest => [item, ...rest]));
+}
+
+test('releases with mixed metadata sort the same whatever their input order', () => {
+    // undated releases first in natural order, then by instant, then by name when they ran at the same time
+    permutations(Object.keys(metadataByRelease)).forEach(releases => {
+        assert.deepEqual(sortReleases(releases, metadataByRelease), expected);
+    });
+    assert.deepEqual(sortReleases(new Set(['release-10', 'release-9'])), ['release-9', 'release-10']);
+});
+
+test('a release range of a mixed list', () => {
+    assert.deepEqual(releaseRange(expected, metadataByRelease, { from: 'p1-release-11', to: 'release-3' }), ['release-11', 'release-2', 'release-3']);
+    assert.throws(() => releaseRange(expected, metadataByRelease, { from: 'release-10', to: 'release-2' }), /tested after "release-2"/);
+});
+
+test('release folders without a metadata date are ordered by their first run', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'releases-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const writeRelease = (release, metadata, timestamp) => {
+        const releaseDir = path.join(dir, release);
+        fs.mkdirSync(releaseDir, { recursive: true });
+        fs.writeFileSync(path.join(releaseDir, 'release.json'), JSON.stringify(metadata), 'utf8');
+        if (!timestamp) return;
+        const file = path.join(releaseDir, 'pages', 'www_example_com', 'HOMEPAGE', 'data', 'browsertime.pageSummary.json');
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ info: { timestamp } }), 'utf8');
+    };
+    writeRelease('release-a', { date: '2025-09-10T10:00:00.000Z' });
+    writeRelease('release-b', { label: 'p1-release-b' }, '2025-09-05T10:00:00+03:00');
+    writeRelease('release-c', { date: '2025-09-01T10:00:00.000Z' });
+
+    assert.deepEqual(listReleases(dir), ['release-c', 'release-b', 'release-a']);
+});
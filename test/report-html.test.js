@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderHtml } = require('../scripts/compare-results');
+
+const releases = ['release-29', 'release-30'];
+// label, notes and coach advice with markup and quotes, as sitespeed.io writes the advice
+const label = 'p1 <b>"hotfix"</b> & more';
+const advice = 'Avoid <script> tags in the <head>, e.g. "<script src=\'a.js\'>".';
+
+function section(coach) {
+    const byRelease = value => Object.fromEntries(releases.map(r => [r, value]));
+    return {
+        section: 'PDP', alias: 'PDP', page: 'https://www.example.com/pl/pl/p/EP5546_70',
+        results: byRelease([]), metricsByRelease: byRelease({}), distributionByRelease: byRelease(null),
+        scoreByRelease: byRelease(null), breakdownByRelease: byRelease({ score: null, breakdown: [] }), scoreBaselineByRelease: byRelease(null),
+        environmentByRelease: byRelease({}), qualityByRelease: byRelease(null), drift: [],
+        cpu: null, coach, resources: null, userTimings: null, screenshots: null
+    };
+}
+
+test('release labels, notes and coach advice are escaped in the report', () => {
+    const coach = {
+        byRelease: Object.fromEntries(releases.map(r => [r, { categories: { performance: 90 }, advice: {} }])),
+        changes: [{ id: 'avoidScripts', category: 'performance', title: 'Avoid <script> & "blocking"', advice, prevScore: 100, score: 80, status: 'new-failure' }]
+    };
+    const html = renderHtml({
+        site: { name: 'example', title: 'Example' },
+        releases,
+        releaseLabels: { 'release-29': 'p1-release-29', 'release-30': label },
+        releaseMetadata: { 'release-30': { label, notes: 'fixes "quotes" & <tags>' } },
+        aggregate: 'median',
+        baseline: null,
+        allResults: [section(coach)],
+        dataQuality: []
+    });
+
+    assert.ok(!html.includes(label));
+    assert.ok(!html.includes('<script'));
+    assert.ok(html.includes('p1 &lt;b&gt;&quot;hotfix&quot;&lt;/b&gt; &amp; more'));
+    assert.ok(html.includes('(fixes &quot;quotes&quot; &amp; &lt;tags&gt;)'));
+    assert.ok(html.includes('<td>Avoid &lt;script&gt; &amp; &quot;blocking&quot;</td>'));
+    assert.ok(html.includes('Avoid &lt;script&gt; tags in the &lt;head&gt;, e.g. &quot;&lt;script src=\'a.js\'&gt;&quot;.</td>'));
+    // the chart axis labels are escaped once
+    assert.ok(!html.includes('&amp;lt;'));
+});
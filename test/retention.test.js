@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ROOT_DIR } = require('../scripts/lib/releases');
+const { DEFAULT_RETENTION, globToRegExp, planRetention, applyRetention } = require('../scripts/lib/retention');
+
+const matches = (glob, file) => globToRegExp(glob).test(file);
+
+test('glob matching', () => {
+    // ** matches any number of folders, also none
+    assert.ok(matches('**/*.json', 'release.json'));
+    assert.ok(matches('**/*.json', 'pages/www_example_com/PDP/data/browsertime.pageSummary.json'));
+    assert.ok(matches('pages/**/data/filmstrip/**', 'pages/www_example_com/PDP/data/filmstrip/1/ms_000100.jpg'));
+    assert.ok(!matches('pages/**/data/filmstrip/**', 'data/filmstrip/1/ms_000100.jpg'));
+    // * stays within a folder
+    assert.ok(matches('*.json', 'release.json'));
+    assert.ok(!matches('*.json', 'data/browsertime.summary-total.json'));
+    assert.ok(matches('pages/*/index.html', 'pages/www_example_com/index.html'));
+    assert.ok(!matches('pages/*/index.html', 'pages/www_example_com/PDP/index.html'));
+    // dots are literal, ? is one character, [...] a character class
+    assert.ok(!matches('release.json', 'releasexjson'));
+    assert.ok(!matches('**/*.har.gz', 'pages/PDP/data/browsertime.har_gz'));
+    assert.ok(matches('**/*.har.gz', 'pages/PDP/data/browsertime.har.gz'));
+    assert.ok(matches('pages/**/[0-9]*.html', 'pages/www_example_com/PDP/1.html'));
+    assert.ok(!matches('pages/**/[0-9]*.html', 'pages/www_example_com/PDP/index.html'));
+    assert.ok(matches('run-?.json', 'run-1.json'));
+    assert.ok(!matches('run-?.json', 'run-10.json'));
+});
+
+// Site with four releases (the hotfix release-10.1 between release-10 and release-11), every release
+// with kept summaries, an intermediate JSON and a HAR to delete, a filmstrip image to slim and its report
+function tempSite(t, retention) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const files = {
+        'index.html': 100,
+        'data/browsertime.summary-total.json': 10,
+        'pages/www_example_com/PDP/data/browsertime.pageSummary.json': 10,
+        'pages/www_example_com/PDP/data/browsertime.run-1.json': 1000,
+        'pages/www_example_com/PDP/data/browsertime.har.gz': 1000,
+        'pages/www_example_com/PDP/data/filmstrip/1/ms_000100.jpg': 2000
+    };
+    ['release-9', 'release-10', 'release-10.1', 'release-11'].forEach((release, idx) => {
+        const releaseDir = path.join(dir, 'site', release);
+        Object.entries(files).forEach(([file, bytes]) => {
+            fs.mkdirSync(path.dirname(path.join(releaseDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(releaseDir, file), 'x'.repeat(bytes));
+        });
+        fs.writeFileSync(path.join(releaseDir, 'release.json'), JSON.stringify({ release, date: `2025-10-0${idx + 1}T10:00:00.000Z` }));
+    });
+
+    return {
+        name: 'example',
+        // site folders are relative to the repository root
+        folder: path.relative(ROOT_DIR, path.join(dir, 'site')),
+        retention: { ...DEFAULT_RETENTION, slim: ['pages/**/data/filmstrip/**'], ...retention }
+    };
+}
+
+const actionsOf = (plan, release) => plan.actions.filter(a => a.release === release).map(({ file, rule }) => [file, rule]);
+const deleted = [
+    ['pages/www_example_com/PDP/data/browsertime.har.gz', 'delete'],
+    ['pages/www_example_com/PDP/data/browsertime.run-1.json', 'delete']
+];
+const slimmed = rule => [['pages/www_example_com/PDP/data/filmstrip/1/ms_000100.jpg', rule]];
+
+test('the newest releases are kept in full, the older ones slimmed', t => {
+    const plan = planRetention(tempSite(t, { keepFullReleases: 2 }));
+
+    assert.deepEqual(plan.releases, ['release-9', 'release-10', 'release-10.1', 'release-11']);
+    assert.deepEqual(plan.fullReleases, ['release-10.1', 'release-11']);
+    assert.deepEqual(actionsOf(plan, 'release-9'), [...deleted, ...slimmed('slim')]);
+    assert.deepEqual(actionsOf(plan, 'release-10'), [...deleted, ...slimmed('slim')]);
+    assert.deepEqual(actionsOf(plan, 'release-10.1'), deleted);
+    assert.deepEqual(actionsOf(plan, 'release-11'), deleted);
+    assert.equal(plan.sizeBefore - plan.sizeAfter, 4 * 2000 + 2 * 2000);
+});
+
+test('kept files and the newest release are never planned for removal', t => {
+    const keep = ['**/browsertime.pageSummary.json', '**/browsertime.summary-total.json', 'release.json', 'index.html'];
+    const isKept = file => keep.some(glob => matches(glob, file));
+    // also when the delete and slim globs match everything and the budget can never be met
+    [{ keepFullReleases: 0 }, { keepFullReleases: 1, maxSizeMB: 0 }, { keepFullReleases: null, maxSizeMB: 0 }].forEach(retention => {
+        const plan = planRetention(tempSite(t, { keep, delete: ['**/*.json', '**/*.gz'], slim: ['**'], ...retention }));
+        assert.deepEqual(plan.actions.filter(({ file }) => isKept(file)), []);
+        assert.deepEqual(actionsOf(plan, 'release-11'), deleted);
+        assert.ok(plan.fullReleases.includes('release-11'));
+    });
+});
+
+test('over the size budget the oldest full releases are slimmed first', t => {
+    // 1000 bytes over the budget after the deletes, slimming one release saves 2000
+    const site = tempSite(t);
+    site.retention.maxSizeMB = (planRetention(site).sizeAfter - 1000) / 1024 / 1024;
+    const plan = planRetention(site);
+
+    assert.deepEqual(plan.slimmedForBudget, ['release-9']);
+    assert.deepEqual(plan.fullReleases, ['release-10', 'release-10.1', 'release-11']);
+    assert.deepEqual(actionsOf(plan, 'release-9'), [...deleted, ...slimmed('budget')]);
+    assert.equal(plan.overBudget, false);
+
+    // the planned files are removed with the folders left empty, the kept ones stay
+    applyRetention(plan);
+    const releaseDir = path.join(ROOT_DIR, site.folder, 'release-9');
+    assert.ok(!fs.existsSync(path.join(releaseDir, 'pages/www_example_com/PDP/data/filmstrip')));
+    assert.ok(fs.existsSync(path.join(releaseDir, 'pages/www_example_com/PDP/data/browsertime.pageSummary.json')));
+    assert.ok(fs.existsSync(path.join(releaseDir, 'release.json')));
+    assert.ok(fs.existsSync(path.join(ROOT_DIR, site.folder, 'release-11/pages/www_example_com/PDP/data/filmstrip/1/ms_000100.jpg')));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreProfile, metricScore, scoreBreakdown, perfScore, scoreRating } = require('../scripts/lib/scoring');
+const { extractMetrics } = require('../scripts/lib/web-vitals');
+
+// Scores of two fixture page summaries in every profile, so a change of a curve or weight shows up here
+const fast = extractMetrics(require('./fixtures/fast.pageSummary.json'));
+const slow = extractMetrics(require('./fixtures/slow.pageSummary.json'));
+
+const metricScores = breakdown => Object.fromEntries(breakdown.map(({ metric, score }) => [metric, score]));
+
+test('fixture medians are read from the page summaries', () => {
+    assert.deepEqual(fast, { TTFB: 350, FCP: 820, LCP: 1200, TBT: 80, CLS: 0.02 });
+    assert.deepEqual(slow, { TTFB: 1100, FCP: 2400, LCP: 4300, TBT: 700, CLS: 0.18 });
+});
+
+test('custom profile', () => {
+    const profile = scoreProfile('custom');
+
+    const fastScore = scoreBreakdown(fast, profile);
+    assert.equal(fastScore.score, 83);
+    assert.deepEqual(metricScores(fastScore.breakdown), { FCP: 72, LCP: 69, TBT: 91, CLS: 98, TTFB: 83 });
+
+    const slowScore = scoreBreakdown(slow, profile);
+    assert.equal(slowScore.score, 30);
+    assert.deepEqual(metricScores(slowScore.breakdown), { FCP: 42, LCP: 36, TBT: 20, CLS: 22, TTFB: 35 });
+
+    // the custom curves are 50 at their median
+    assert.equal(metricScore('LCP', 2500, profile), 50);
+    assert.equal(metricScore('CLS', 0.1, profile), 50);
+    assert.equal(metricScore('TTFB', 800, profile), 50);
+});
+
+test('lighthouse-mobile profile', () => {
+    const profile = scoreProfile('lighthouse-mobile');
+
+    const fastScore = scoreBreakdown(fast, profile);
+    assert.equal(fastScore.score, 100);
+    assert.deepEqual(metricScores(fastScore.breakdown), { FCP: 100, LCP: 100, TBT: 99, CLS: 100 });
+
+    const slowScore = scoreBreakdown(slow, profile);
+    assert.equal(slowScore.score, 53);
+    assert.deepEqual(metricScores(slowScore.breakdown), { FCP: 71, LCP: 42, TBT: 43, CLS: 68 });
+
+    // 90 at the p10 control point, 50 at the median, TTFB is not scored
+    assert.equal(metricScore('LCP', 2500, profile), 90);
+    assert.equal(metricScore('LCP', 4000, profile), 50);
+    assert.equal(metricScore('TTFB', 500, profile), null);
+});
+
+test('lighthouse-desktop profile', () => {
+    const profile = scoreProfile('lighthouse-desktop');
+
+    const fastScore = scoreBreakdown(fast, profile);
+    assert.equal(fastScore.score, 96);
+    assert.deepEqual(metricScores(fastScore.breakdown), { FCP: 94, LCP: 90, TBT: 99, CLS: 100 });
+
+    const slowScore = scoreBreakdown(slow, profile);
+    assert.equal(slowScore.score, 30);
+    assert.deepEqual(metricScores(slowScore.breakdown), { FCP: 17, LCP: 14, TBT: 15, CLS: 68 });
+
+    assert.equal(metricScore('LCP', 1200, profile), 90);
+    assert.equal(metricScore('LCP', 2400, profile), 50);
+});
+
+test('weights are rescaled to the measured metrics', () => {
+    const profile = scoreProfile('lighthouse-mobile');
+    // Speed Index is not collected: the four weights add up to 90% and are rescaled to 100%
+    const weights = scoreBreakdown(fast, profile).breakdown.map(({ weight }) => weight);
+    assert.equal(Math.round(weights.reduce((sum, w) => sum + w, 0) * 1e9) / 1e9, 1);
+
+    // an unmeasured metric is left out of the score
+    const { breakdown } = scoreBreakdown({ ...slow, TBT: null }, profile);
+    assert.deepEqual(breakdown.map(({ metric }) => metric), ['FCP', 'LCP', 'CLS']);
+    assert.equal(perfScore({ ...slow, TBT: null }, profile), 58);
+
+    assert.deepEqual(scoreBreakdown(null, profile), { score: null, breakdown: [] });
+});
+
+test('score ratings and unknown profiles', () => {
+    assert.equal(scoreRating(90), 'good');
+    assert.equal(scoreRating(89), 'average');
+    assert.equal(scoreRating(50), 'average');
+    assert.equal(scoreRating(49), 'poor');
+    assert.equal(scoreRating(null), null);
+    assert.throws(() => scoreProfile('lighthouse-tablet'), /Unknown score profile "lighthouse-tablet"/);
+});
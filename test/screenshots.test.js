@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { decodePng, encodePng } = require('../scripts/lib/png');
+const { medianRunIndex, diffScreenshots } = require('../scripts/lib/screenshots');
+
+// width x height RGBA image, pixel colors from a function of x and y
+function image(width, height, color) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) data.set(color(x, y), (y * width + x) * 4);
+    }
+    return { width, height, data };
+}
+
+const gradient = (x, y) => [x * 16, y * 16, (x + y) * 8, 255 - x];
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('an encoded RGBA image decodes to the same pixels', () => {
+    const original = image(16, 9, gradient);
+    const png = encodePng(original);
+
+    assert.deepEqual(png.subarray(0, 8), SIGNATURE);
+    assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+    assert.deepEqual(decodePng(png), original);
+});
+
+// PNG of an RGB image whose rows use the given filters (0 none, 1 sub, 2 up, 3 average, 4 paeth)
+function filteredRgbPng(rows, filters) {
+    const width = rows[0].length / 3;
+    const paeth = (a, b, c) => {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+    };
+    const raw = Buffer.concat(rows.map((row, y) => {
+        const filtered = row.map((value, x) => {
+            const left = x >= 3 ? row[x - 3] : 0;
+            const up = y > 0 ? rows[y - 1][x] : 0;
+            const upLeft = y > 0 && x >= 3 ? rows[y - 1][x - 3] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filters[y]];
+            return (value - predictor) & 0xff;
+        });
+        return Buffer.from([filters[y], ...filtered]);
+    }));
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(rows.length, 4);
+    header[8] = 8;
+    header[9] = 2;
+    // the decoder does not check the CRCs
+    const chunk = (type, content) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(content.length);
+        return Buffer.concat([length, Buffer.from(type, 'ascii'), content, Buffer.alloc(4)]);
+    };
+    return Buffer.concat([SIGNATURE, chunk('IHDR', header), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+test('RGB rows with every filter are decoded to RGBA', () => {
+    const rows = [0, 1, 2, 3, 4].map(y => Array.from({ length: 4 * 3 }, (_, x) => (x * 37 + y * 91) % 256));
+    const decoded = decodePng(filteredRgbPng(rows, [1, 2, 3, 4, 0]));
+
+    assert.equal(decoded.width, 4);
+    assert.equal(decoded.height, 5);
+    assert.deepEqual(decoded.data, image(4, 5, (x, y) => [...rows[y].slice(x * 3, x * 3 + 3), 255]).data);
+    assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG file/);
+});
+
+test('the pixel diff counts the changed pixels', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'error', () => {});
+
+    // a 10x10 image with a changed 3x2 block, one pixel below the threshold, and a copy 2 rows taller
+    const before = image(10, 10, gradient);
+    const after = image(10, 10, (x, y) => {
+        if (x >= 4 && x < 7 && y >= 2 && y < 4) return [255, 0, 255, 255];
+        const color = gradient(x, y);
+        return x === 0 && y === 9 ? [color[0] + 20, ...color.slice(1)] : color;
+    });
+    const taller = image(10, 12, gradient);
+    const write = (name, img) => {
+        const file = path.join(dir, `${name}.png`);
+        fs.writeFileSync(file, encodePng(img));
+        return file;
+    };
+
+    const same = diffScreenshots(write('before', before), write('copy', before));
+    assert.equal(same.diffPct, 0);
+
+    const diff = diffScreenshots(write('before', before), write('after', after));
+    assert.equal(diff.diffPct, 6);
+    // changed pixels are red in the diff image
+    const diffImage = decodePng(diff.png);
+    const red = [...Array(100).keys()].filter(i => diffImage.data.subarray(i * 4, i * 4 + 4).equals(Buffer.from([255, 0, 0, 255])));
+    assert.deepEqual(red, [24, 25, 26, 34, 35, 36]);
+
+    // the 20 pixels outside the smaller image count as changed
+    const grown = diffScreenshots(write('before', before), write('taller', taller));
+    assert.equal(grown.diffPct, (20 / 120) * 100);
+    assert.equal(decodePng(grown.png).height, 12);
+
+    assert.equal(diffScreenshots(write('before', before), path.join(dir, 'missing.png')), null);
+});
+
+test('the screenshots of the run closest to the median', () => {
+    assert.equal(medianRunIndex([2400, 1100, 4000, 1300, 1900]), 4);
+    assert.equal(medianRunIndex([null, 900, 1000]), 1);
+    assert.equal(medianRunIndex([]), 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mannWhitneyU, compareRuns } = require('../scripts/lib/stats');
+
+const range = (from, count) => Array.from({ length: count }, (_, idx) => from + idx);
+const close = (actual, expected, digits = 3) => assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not ${expected}`);
+
+test('ties get the average rank and shrink the variance', () => {
+    // ranks: 1 -> 1, the three 2s -> 3, the three 3s -> 6, 4 -> 8: rank sum of a = 13, U = 13 - 4 * 5 / 2
+    const { u, z, pValue } = mannWhitneyU([1, 2, 2, 3], [2, 3, 3, 4]);
+    assert.equal(u, 3);
+    // variance 16 / 12 * (9 - (24 + 24) / (8 * 7)), continuity corrected |3 - 8| - 0.5
+    close(z, 4.5 / Math.sqrt((16 / 12) * (9 - 48 / 56)));
+    close(pValue, 0.172, 2);
+});
+
+test('U of the swapped samples is its complement', () => {
+    const a = [310, 350, 390, 420], b = [900, 340, 1250, 1100, 400];
+    assert.equal(mannWhitneyU(a, b).u + mannWhitneyU(b, a).u, a.length * b.length);
+    close(mannWhitneyU(a, b).pValue, mannWhitneyU(b, a).pValue, 9);
+});
+
+test('identical samples show no difference', () => {
+    assert.deepEqual(mannWhitneyU([100, 100, 100], [100, 100, 100]), { u: 4.5, z: 0, pValue: 1 });
+    // the erf approximation puts Φ(0) a hair off 0.5
+    close(mannWhitneyU(range(100, 10), range(100, 10)).pValue, 1, 6);
+    assert.equal(mannWhitneyU([], [1, 2]), null);
+
+    const result = compareRuns(range(100, 10), range(100, 10));
+    assert.equal(result.verdict, 'noise');
+    close(result.pValue, 1, 6);
+    close(result.confidence, 0, 6);
+});
+
+test('clearly separated samples are significant, in the direction of the median shift', () => {
+    const fast = range(100, 10), slow = range(200, 10);
+    const { u, pValue } = mannWhitneyU(fast, slow);
+    assert.equal(u, 0);
+    assert.ok(pValue < 0.001);
+
+    // lower is better: slower runs are a regression, faster ones an improvement
+    assert.equal(compareRuns(fast, slow).verdict, 'regression');
+    assert.equal(compareRuns(slow, fast).verdict, 'improvement');
+    assert.deepEqual(compareRuns(fast, slow).n, [10, 10]);
+    // the same p-value both ways
+    close(compareRuns(fast, slow).pValue, compareRuns(slow, fast).pValue, 9);
+});
+
+test('a significant difference needs a shift of the medians', () => {
+    // the ranks differ but both medians are 5
+    const result = compareRuns([1, 2, 3, 4, 5, 5, 5, 5, 5], [5, 5, 5, 5, 5, 6, 7, 8, 9], 0.5);
+    assert.ok(result.pValue < 0.5);
+    assert.equal(result.verdict, 'noise');
+});
+
+test('tiny samples are never significant', () => {
+    // fewer than 2 runs: no test at all
+    assert.deepEqual(compareRuns([100], [900, 950]), { verdict: 'unknown', pValue: null, confidence: null, n: [1, 2] });
+    assert.equal(compareRuns([100, null], [900, 950]).verdict, 'unknown');
+    // completely separated, yet 2 or 3 runs can not reach p < 0.05
+    assert.equal(compareRuns([100, 110], [900, 950]).verdict, 'noise');
+    assert.equal(compareRuns([100, 110, 120], [900, 950, 990]).verdict, 'noise');
+    close(compareRuns([100, 110, 120], [900, 950, 990]).pValue, 0.081, 2);
+});